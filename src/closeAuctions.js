@@ -0,0 +1,152 @@
+// src/closeAuctions.js
+const Auction = require('./models/Auction');
+const economy = require('./utils/economy');
+const auctionCommand = require('./commands/auction');
+const config = require('./config');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  transports: [new winston.transports.Console({ format: winston.format.simple() })],
+});
+
+// An auction still closing after this long was interrupted and is settled again
+const STALE_CLOSING_MS = 10 * 60 * 1000;
+
+/**
+ * Post a message in the marketplace announcement channel, if configured
+ */
+async function announce(client, content) {
+  const channelId = config.marketplace.announceChannelId;
+  if (!channelId) return;
+
+  try {
+    const channel = await client.channels.fetch(channelId);
+    if (channel?.isTextBased()) {
+      await channel.send(content);
+    }
+  } catch (err) {
+    logger.error('[Scheduler] Failed to send auction announcement:', err);
+  }
+}
+
+/**
+ * Hand the prize to the winner. Throws if it can't be delivered.
+ */
+async function deliverPrize(client, auction) {
+  const winnerId = auction.highestBid.discordId;
+
+  if (auction.prizeType === 'role') {
+    const guild = await client.guilds.fetch(config.discord.guildId);
+    const member = await guild.members.fetch(winnerId);
+    await member.roles.add(auction.roleId, `Won auction "${auction.title}"`);
+    return;
+  }
+
+  const channel = await client.channels.fetch(config.marketplace.fulfilmentChannelId);
+  const staffRoleId = config.marketplace.staffRoleId;
+  await channel.send({
+    content: `🛎️ ${staffRoleId ? `<@&${staffRoleId}> ` : ''}<@${winnerId}> won the auction **${auction.title}** for ${auction.highestBid.amount} coins. Please deliver the prize.`,
+    allowedMentions: { users: [winnerId], roles: staffRoleId ? [staffRoleId] : [] }
+  });
+}
+
+/**
+ * Settle one auction that has been claimed for closing
+ */
+async function settleAuction(client, auction) {
+  if (!auction.highestBid) {
+    const unsold = await Auction.transition(auction._id, 'closing', 'unsold', { settledAt: new Date() });
+    await auctionCommand.refreshMessage(client, unsold);
+    await announce(client, `🔨 The auction **${auction.title}** ended without a winning bid.`);
+    return;
+  }
+
+  const { discordId: winnerId, amount } = auction.highestBid;
+
+  try {
+    await deliverPrize(client, auction);
+  } catch (err) {
+    // Mark it failed first, so a retried settle can't refund twice
+    const failed = await Auction.transition(auction._id, 'closing', 'failed', {
+      settledAt: new Date(),
+      failureReason: err.message
+    });
+    if (!failed) return;
+
+    // The winning bid is still in escrow; give it back
+    await economy.credit(winnerId, amount, {
+      source: 'auction_refund',
+      reason: `Prize for ${auction.title} could not be delivered`,
+      referenceId: auction._id
+    });
+    await auctionCommand.refreshMessage(client, failed);
+    logger.error(`[Scheduler] Could not deliver auction prize for ${auction._id}, refunded:`, err);
+    return;
+  }
+
+  // Escrowed coins are kept: that's the winning payment
+  const settled = await Auction.transition(auction._id, 'closing', 'settled', {
+    winnerId,
+    settledAt: new Date()
+  });
+  await auctionCommand.refreshMessage(client, settled);
+  await announce(client, `🏆 <@${winnerId}> won the auction **${auction.title}** with a bid of **${amount}** coins!`);
+
+  try {
+    const winner = await client.users.fetch(winnerId);
+    await winner.send(`🏆 You won **${auction.title}** for ${amount} coins!`);
+  } catch {
+    // Closed DMs; the announcement covers it
+  }
+}
+
+/**
+ * closeAuctions()
+ *
+ * Closes auctions whose end time has passed: the winner keeps the prize
+ * and pays with their escrowed bid. Each auction is claimed (open -> closing)
+ * before settling so a late bid or an overlapping run can't interfere.
+ * Auctions left in `closing` by an interrupted run are settled again.
+ */
+async function closeAuctions() {
+  const client = global.discordClient;
+  if (!client?.isReady()) return;
+
+  try {
+    const due = await Auction.findDue();
+
+    for (const auction of due) {
+      const claimed = await Auction.transition(auction._id, 'open', 'closing');
+      if (!claimed) continue;
+
+      try {
+        await settleAuction(client, claimed);
+      } catch (err) {
+        logger.error(`[Scheduler] Failed to settle auction ${auction._id}:`, err);
+      }
+    }
+
+    if (due.length) {
+      logger.info(`[Scheduler] Closed ${due.length} auction(s).`);
+    }
+
+    // Settle again what a crash or restart left half-closed; the top bid is still in escrow
+    const before = new Date(Date.now() - STALE_CLOSING_MS);
+    for (const stale of await Auction.findStaleClosing(before)) {
+      const reclaimed = await Auction.reclaimStale(stale._id, before);
+      if (!reclaimed) continue;
+
+      logger.warn(`[Scheduler] Retrying interrupted settlement of auction ${stale._id}.`);
+      try {
+        await settleAuction(client, reclaimed);
+      } catch (err) {
+        logger.error(`[Scheduler] Failed to settle auction ${stale._id}:`, err);
+      }
+    }
+  } catch (err) {
+    logger.error('[Scheduler] closeAuctions() error:', err);
+  }
+}
+
+module.exports = closeAuctions;
@@ -0,0 +1,104 @@
+// src/commands/activityFlags.js
+const { EmbedBuilder } = require('discord.js');
+const ActivityFlag = require('../models/ActivityFlag');
+const checkAdmin = require('../utils/checkAdmin');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/validator');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+
+const FLAGS_LIMIT = 20;
+
+const REASON_LABELS = {
+  rate_limit: 'rate cap',
+  duplicate: 'duplicates',
+  reaction_toggle: 'reaction toggles'
+};
+
+/**
+ * Activity Flags Command - review users whose activity looked farmed (Admin only)
+ */
+const activityFlagsCommand = {
+  name: 'activity-flags',
+  description: 'Review users flagged for stat farming (Admin only)',
+
+  /**
+   * Most-flagged users
+   * @returns {Promise<EmbedBuilder>} Discord embed
+   */
+  async buildFlagsEmbed() {
+    const flags = await ActivityFlag.find({ total: { $gt: 0 } }, null, {
+      lean: true,
+      sort: { total: -1 },
+      limit: FLAGS_LIMIT
+    });
+
+    const lines = flags.map((entry, index) => {
+      const breakdown = Object.entries(entry.counts || {})
+        .filter(([, count]) => count > 0)
+        .map(([reason, count]) => `${count} ${REASON_LABELS[reason] || reason}`)
+        .join(', ');
+      const last = entry.lastFlaggedAt ? ` · last <t:${Math.floor(entry.lastFlaggedAt.getTime() / 1000)}:R>` : '';
+      const sample = entry.lastSample ? `\n> ${entry.lastSample.replace(/\n/g, ' ')}` : '';
+      return `\`#${index + 1}\` <@${entry.discordId}> · **${entry.total}** (${breakdown})${last}${sample}`;
+    });
+
+    return new EmbedBuilder()
+      .setTitle('🚩 Activity Flags')
+      .setColor('Red')
+      .setDescription(lines.join('\n') || 'Nobody has been flagged.')
+      .setFooter({ text: 'Flagged activity was not counted toward stats or milestones' });
+  },
+
+  /**
+   * Execute the activity-flags command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'activity-flags',
+      userId: interaction.user.id
+    });
+
+    if (!(await checkAdmin(interaction))) return;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'list') {
+        return interaction.editReply({ embeds: [await this.buildFlagsEmbed()] });
+      }
+
+      if (subcommand === 'clear') {
+        const target = interaction.options.getUser('user');
+        const result = await ActivityFlag.deleteOne({ discordId: target.id });
+
+        if (!result.deletedCount) {
+          throw new ValidationError(`${target.username} has no flags`, 'user');
+        }
+
+        cmdLog.info('Cleared activity flags', { targetId: target.id });
+        return interaction.editReply({
+          content: `✅ Cleared flags for <@${target.id}>.`,
+          embeds: [await this.buildFlagsEmbed()]
+        });
+      }
+
+      return interaction.editReply('Unknown subcommand.');
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return interaction.editReply(`📋 ${error.message}`);
+      }
+
+      captureException(error, { command: 'activity-flags', user: interaction.user.id });
+      cmdLog.error('Error in activity-flags command', { error: error.message });
+      return interaction.editReply('An error occurred while loading activity flags.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(activityFlagsCommand.name, activityFlagsCommand);
+
+module.exports = activityFlagsCommand;
@@ -1,5 +1,5 @@
 // src/commands/adminGiveTake.js
-const User = require('../models/User');
+const economy = require('../utils/economy');
 const checkAdmin = require('../utils/checkAdmin');
 const winston = require('winston');
 const logger = winston.createLogger({
@@ -25,17 +25,20 @@ module.exports = {
         return interaction.editReply('Amount must be a positive integer.');
       }
 
-      // Use upsert for atomic increment
-      await User.updateOne(
-        { discordId: targetUser.id },
-        {
-          $inc: { coins: amount },
-          $setOnInsert: { discordId: targetUser.id, username: targetUser.username },
-        },
-        { upsert: true }
-      );
+      const result = await economy.credit(targetUser.id, amount, {
+        source: 'admin_grant',
+        reason: 'Granted by admin',
+        actorId: interaction.user.id,
+        username: targetUser.username,
+      });
+
+      if (!result.success) {
+        return interaction.editReply(`Could not give coins (${result.code}).`);
+      }
 
-      await interaction.editReply(`Gave **${amount}** coins to <@${targetUser.id}>.`);
+      await interaction.editReply(
+        `Gave **${amount}** coins to <@${targetUser.id}>. New balance: **${result.balance}**.`
+      );
     } catch (error) {
       logger.error('Error in giveCoins:', error);
       interaction.editReply('An error occurred while giving coins.');
@@ -59,31 +62,53 @@ module.exports = {
         return interaction.editReply('Amount must be a positive integer.');
       }
 
-      // Update pipeline to ensure balance doesn't go below 0
-      await User.findOneAndUpdate(
-        { discordId: targetUser.id },
-        [
-          {
-            $set: {
-              discordId: { $ifNull: ['$discordId', targetUser.id] },
-              username: { $ifNull: ['$username', targetUser.username] },
-              coins: {
-                $cond: {
-                  if: { $lt: [{ $ifNull: ['$coins', 0] }, amount] },
-                  then: 0,
-                  else: { $subtract: [{ $ifNull: ['$coins', 0] }, amount] },
-                },
-              },
-            },
-          },
-        ],
-        { new: true, upsert: true }
-      );
+      // Balance never goes below 0; only the coins actually taken are recorded
+      const result = await economy.debit(targetUser.id, amount, {
+        source: 'admin_take',
+        reason: 'Taken by admin',
+        actorId: interaction.user.id,
+        username: targetUser.username,
+        allowPartial: true,
+      });
+
+      if (!result.success) {
+        return interaction.editReply(`Could not take coins (${result.code}).`);
+      }
 
-      await interaction.editReply(`Took **${amount}** coins from <@${targetUser.id}>.`);
+      await interaction.editReply(
+        `Took **${-result.amount}** coins from <@${targetUser.id}>. New balance: **${result.balance}**.`
+      );
     } catch (error) {
       logger.error('Error in takeCoins:', error);
       interaction.editReply('An error occurred while taking coins.');
     }
   },
+
+  async reconcileCoins(interaction) {
+    // Check admin
+    if (!(await checkAdmin(interaction))) return;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const targetUser = interaction.options.getUser('user');
+
+      if (!targetUser) {
+        return interaction.editReply('User not specified.');
+      }
+
+      const result = await economy.reconcile(targetUser.id);
+      const status = result.consistent
+        ? '✅ Balance matches the ledger.'
+        : `⚠️ Balance is off by **${result.difference}** coins.`;
+
+      await interaction.editReply(
+        `<@${targetUser.id}> has **${result.balance}** coins. ` +
+        `Ledger total: **${result.ledgerTotal}** across ${result.entries} transaction(s).\n${status}`
+      );
+    } catch (error) {
+      logger.error('Error in reconcileCoins:', error);
+      interaction.editReply('An error occurred while reconciling coins.');
+    }
+  },
 };
\ No newline at end of file
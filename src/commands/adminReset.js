@@ -1,5 +1,6 @@
 // src/commands/adminReset.js
 const User = require('../models/User');
+const economy = require('../utils/economy');
 const checkAdmin = require('../utils/checkAdmin');
 const winston = require('winston');
 const logger = winston.createLogger({
@@ -13,8 +14,11 @@ module.exports = {
     await interaction.deferReply({ ephemeral: true });
 
     try {
-      const result = await User.updateMany({}, { coins: 0 });
-      logger.info(`resetLeaderboard: Updated ${result.modifiedCount} user(s) to coins=0.`);
+      const resetCount = await economy.resetAllBalances({
+        actorId: interaction.user.id,
+        reason: 'Leaderboard reset',
+      });
+      logger.info(`resetLeaderboard: Updated ${resetCount} user(s) to coins=0.`);
       interaction.editReply('Leaderboard reset (coins=0).');
     } catch (error) {
       logger.error('Error in resetLeaderboard:', error);
@@ -27,11 +31,15 @@ module.exports = {
     await interaction.deferReply({ ephemeral: true });
 
     try {
+      // Coins go through the ledger first, then the activity counters
+      await economy.resetAllBalances({
+        actorId: interaction.user.id,
+        reason: 'Stats reset',
+      });
       const result = await User.updateMany({}, {
         messagesCount: 0,
         reactionsCount: 0,
         voiceMinutes: 0,
-        coins: 0,
         totalLikes: 0,
         totalRetweets: 0,
       });
@@ -0,0 +1,424 @@
+// src/commands/auction.js
+const {
+  EmbedBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const mongoose = require('mongoose');
+const Auction = require('../models/Auction');
+const economy = require('../utils/economy');
+const { RESULT_CODES } = require('../utils/economy');
+const checkAdmin = require('../utils/checkAdmin');
+const config = require('../config');
+const logger = require('../utils/logger');
+const {
+  validateString,
+  validatePositiveInteger,
+  validateDateTime,
+  validateUrl,
+  ValidationError
+} = require('../utils/validator');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+
+const STATUS_LABELS = {
+  open: '🟢 Open',
+  closing: '⏳ Closing',
+  settled: '🏆 Sold',
+  unsold: '⚪ No winning bid',
+  cancelled: '🚫 Cancelled',
+  failed: '⚠️ Prize could not be delivered'
+};
+
+/**
+ * Auction Command - admins put one-off rewards up for bidding
+ */
+const auctionCommand = {
+  name: 'auction',
+  description: 'Create and manage auctions (Admin only)',
+
+  /**
+   * Public auction embed
+   * @param {Object} auction - Auction document
+   * @returns {EmbedBuilder} Discord embed
+   */
+  buildAuctionEmbed(auction) {
+    const endsAt = Math.floor(auction.endsAt.getTime() / 1000);
+    const prize = auction.prizeType === 'role' ? `<@&${auction.roleId}> role` : 'Custom reward (delivered by staff)';
+    const highest = auction.highestBid
+      ? `**${auction.highestBid.amount}** coins by <@${auction.highestBid.discordId}>`
+      : 'No bids yet';
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🔨 ${auction.title}`)
+      .setColor(auction.status === 'open' ? 'Gold' : 'Grey')
+      .addFields(
+        { name: 'Prize', value: prize, inline: true },
+        { name: 'Reserve', value: `${auction.reservePrice} coins`, inline: true },
+        { name: 'Min. raise', value: `${auction.minIncrement} coins`, inline: true },
+        { name: 'Highest bid', value: highest },
+        {
+          name: 'Status',
+          value: auction.status === 'open'
+            ? `${STATUS_LABELS.open} · ends <t:${endsAt}:R>`
+            : `${STATUS_LABELS[auction.status]} · ended <t:${endsAt}:f>`
+        }
+      )
+      .setFooter({ text: `Auction ID: ${auction._id} · bids are held until you're outbid` });
+
+    if (auction.description) embed.setDescription(auction.description);
+    if (auction.imageUrl) embed.setImage(auction.imageUrl);
+
+    return embed;
+  },
+
+  /**
+   * Bid button, disabled once the auction is no longer open
+   * @param {Object} auction - Auction document
+   * @returns {Array} Component rows
+   */
+  buildAuctionComponents(auction) {
+    return [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`auction_bid:${auction._id}`)
+          .setLabel(auction.status === 'open' ? `Bid (min ${auction.getMinimumBid()})` : 'Bidding closed')
+          .setStyle(ButtonStyle.Primary)
+          .setDisabled(auction.status !== 'open')
+      )
+    ];
+  },
+
+  /**
+   * Bring the posted auction message up to date
+   * @param {Object} client - Discord client
+   * @param {Object} auction - Auction document
+   */
+  async refreshMessage(client, auction) {
+    if (!auction.channelId || !auction.messageId) return;
+
+    try {
+      const channel = await client.channels.fetch(auction.channelId);
+      const message = await channel.messages.fetch(auction.messageId);
+      await message.edit({
+        embeds: [this.buildAuctionEmbed(auction)],
+        components: this.buildAuctionComponents(auction)
+      });
+    } catch (err) {
+      logger.warn('Could not update auction message', { auctionId: auction._id, error: err.message });
+    }
+  },
+
+  /**
+   * Create an auction and post it in the current channel
+   */
+  async createAuction(interaction) {
+    const title = validateString(interaction.options.getString('title'), {
+      fieldName: 'Title',
+      minLength: 1,
+      maxLength: 100
+    });
+    const reservePrice = validatePositiveInteger(interaction.options.getInteger('reserve'), 'Reserve price');
+    const endsAt = validateDateTime(interaction.options.getString('ends_at'), 'End time');
+    const prizeType = interaction.options.getString('prize_type');
+    const role = interaction.options.getRole('role');
+    const minIncrement = interaction.options.getInteger('min_increment') ?? 1;
+    const imageInput = interaction.options.getString('image_url');
+
+    if (endsAt <= new Date()) {
+      throw new ValidationError('End time must be in the future', 'ends_at');
+    }
+    if (prizeType === 'role' && !role) {
+      throw new ValidationError('Please provide the role to auction', 'role');
+    }
+    if (prizeType === 'custom' && !config.marketplace.fulfilmentChannelId) {
+      throw new ValidationError('Custom prizes need MARKETPLACE_FULFILMENT_CHANNEL to be configured', 'prize_type');
+    }
+
+    const auction = new Auction({
+      title,
+      description: interaction.options.getString('description'),
+      imageUrl: imageInput ? validateUrl(imageInput, { fieldName: 'Image URL' }) : null,
+      prizeType,
+      roleId: prizeType === 'role' ? role.id : null,
+      reservePrice,
+      minIncrement,
+      endsAt,
+      channelId: interaction.channel.id,
+      createdBy: interaction.user.id
+    });
+
+    const message = await interaction.channel.send({
+      embeds: [this.buildAuctionEmbed(auction)],
+      components: this.buildAuctionComponents(auction)
+    });
+
+    auction.messageId = message.id;
+    await auction.save();
+
+    return `Auction **${title}** is live and ends <t:${Math.floor(endsAt.getTime() / 1000)}:R>. ID: \`${auction._id}\``;
+  },
+
+  /**
+   * Cancel an open auction and return the highest bid
+   */
+  async cancelAuction(interaction) {
+    const auctionId = interaction.options.getString('auction_id').trim();
+
+    if (!mongoose.isValidObjectId(auctionId)) {
+      throw new ValidationError('That is not a valid auction ID', 'auction_id');
+    }
+
+    const auction = await Auction.transition(auctionId, 'open', 'cancelled', { settledAt: new Date() });
+    if (!auction) {
+      throw new ValidationError('No open auction with that ID', 'auction_id');
+    }
+
+    if (auction.highestBid) {
+      await economy.credit(auction.highestBid.discordId, auction.highestBid.amount, {
+        source: 'auction_refund',
+        reason: `Auction cancelled: ${auction.title}`,
+        actorId: interaction.user.id,
+        referenceId: auction._id
+      });
+    }
+
+    await this.refreshMessage(interaction.client, auction);
+
+    return auction.highestBid
+      ? `Cancelled **${auction.title}** and refunded **${auction.highestBid.amount}** coins to <@${auction.highestBid.discordId}>.`
+      : `Cancelled **${auction.title}**.`;
+  },
+
+  /**
+   * Open auctions, soonest ending first
+   */
+  async listAuctions() {
+    const auctions = await Auction.find({ status: 'open' }).sort({ endsAt: 1 }).limit(20);
+
+    if (!auctions.length) return 'There are no open auctions.';
+
+    return auctions.map(auction => {
+      const highest = auction.highestBid ? `${auction.highestBid.amount} coins` : 'no bids';
+      return `**${auction.title}** · ${highest} · ends <t:${Math.floor(auction.endsAt.getTime() / 1000)}:R> · \`${auction._id}\``;
+    }).join('\n');
+  },
+
+  /**
+   * Execute the auction command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'auction',
+      userId: interaction.user.id
+    });
+
+    if (!(await checkAdmin(interaction))) return;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      let message;
+      switch (subcommand) {
+        case 'create':
+          message = await this.createAuction(interaction);
+          break;
+        case 'cancel':
+          message = await this.cancelAuction(interaction);
+          break;
+        case 'list':
+          return interaction.editReply(await this.listAuctions());
+        default:
+          return interaction.editReply('Unknown subcommand.');
+      }
+
+      cmdLog.info('Auction command completed', { subcommand });
+      return interaction.editReply(`✅ ${message}`);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return interaction.editReply(`📋 ${error.message}`);
+      }
+
+      captureException(error, { command: 'auction', user: interaction.user.id });
+      cmdLog.error('Error in auction command', { error: error.message });
+      return interaction.editReply('An error occurred while managing the auction.');
+    }
+  },
+
+  /**
+   * Bid button: ask for an amount in a modal
+   * @param {Object} interaction - Button interaction
+   */
+  async handleBidButton(interaction) {
+    const auctionId = interaction.customId.split(':')[1];
+    const auction = await Auction.findById(auctionId);
+
+    if (!auction || auction.status !== 'open' || auction.endsAt <= new Date()) {
+      return interaction.reply({ content: '❌ This auction is no longer taking bids.', ephemeral: true });
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`auction_bid_modal:${auction._id}`)
+      .setTitle(auction.title.slice(0, 45))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('amount')
+            .setLabel('Your bid in coins')
+            .setPlaceholder(`At least ${auction.getMinimumBid()}`)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(12)
+        )
+      );
+
+    return interaction.showModal(modal);
+  },
+
+  /**
+   * Bid modal: escrow the coins, then take the lead if the bid is still high enough
+   * @param {Object} interaction - Modal submit interaction
+   */
+  async handleBidModal(interaction) {
+    const cmdLog = logger.withContext({
+      area: 'auction-bid',
+      userId: interaction.user.id
+    });
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const auctionId = interaction.customId.split(':')[1];
+
+    try {
+      const amount = Number(interaction.fields.getTextInputValue('amount').replace(/[,\s]/g, ''));
+      if (!Number.isInteger(amount) || amount <= 0) {
+        return interaction.editReply('❌ Please enter a whole number of coins.');
+      }
+
+      const auction = await Auction.findById(auctionId);
+      if (!auction || auction.status !== 'open' || auction.endsAt <= new Date()) {
+        return interaction.editReply('❌ This auction is no longer taking bids.');
+      }
+      if (amount < auction.getMinimumBid()) {
+        return interaction.editReply(`❌ Your bid must be at least **${auction.getMinimumBid()}** coins.`);
+      }
+
+      // Escrow first: the coins leave the bidder's balance until they are outbid
+      const escrow = await economy.debit(interaction.user.id, amount, {
+        source: 'auction_bid',
+        reason: `Bid on ${auction.title}`,
+        actorId: interaction.user.id,
+        referenceId: auction._id
+      });
+
+      if (!escrow.success) {
+        return interaction.editReply(
+          escrow.code === RESULT_CODES.INSUFFICIENT_FUNDS
+            ? `❌ You need **${escrow.shortfall}** more coins to bid ${amount}.`
+            : '❌ Your bid could not be placed.'
+        );
+      }
+
+      // Only replaces the highest bid if nobody beat this amount in the meantime
+      const bid = { discordId: interaction.user.id, amount, placedAt: new Date() };
+      let previous;
+      try {
+        previous = await Auction.findOneAndUpdate(
+          {
+            _id: auction._id,
+            status: 'open',
+            endsAt: { $gt: new Date() },
+            $or: [
+              { highestBid: null },
+              { 'highestBid.amount': { $lte: amount - auction.minIncrement } }
+            ]
+          },
+          { $set: { highestBid: bid }, $push: { bids: bid } }
+        );
+      } catch (err) {
+        // The bid wasn't stored, so nothing would ever release the escrow
+        await economy.credit(interaction.user.id, amount, {
+          source: 'auction_refund',
+          reason: `Bid could not be placed on ${auction.title}`,
+          referenceId: auction._id
+        });
+        throw err;
+      }
+
+      if (!previous) {
+        await economy.credit(interaction.user.id, amount, {
+          source: 'auction_refund',
+          reason: `Bid not accepted on ${auction.title}`,
+          referenceId: auction._id
+        });
+        return interaction.editReply('❌ Someone bid more first, or the auction just ended. Your coins have been returned.');
+      }
+
+      // Release the escrow of the bid that was just beaten
+      const outbid = previous.highestBid;
+      if (outbid) {
+        let released = false;
+        try {
+          const release = await economy.credit(outbid.discordId, outbid.amount, {
+            source: 'auction_refund',
+            reason: `Outbid on ${auction.title}`,
+            referenceId: auction._id
+          });
+          if (!release.success) {
+            throw new Error(`Outbid escrow release failed: ${release.code}`);
+          }
+          released = true;
+        } catch (err) {
+          // The new bid stands; the report carries what staff need to return the coins
+          captureException(err, {
+            area: 'auction-outbid-refund',
+            auctionId: auction._id,
+            user: outbid.discordId,
+            amount: outbid.amount
+          });
+          cmdLog.error('Failed to release outbid escrow', {
+            auctionId: auction._id,
+            outbidUser: outbid.discordId,
+            amount: outbid.amount,
+            error: err.message
+          });
+        }
+
+        if (released && outbid.discordId !== interaction.user.id) {
+          try {
+            const outbidUser = await interaction.client.users.fetch(outbid.discordId);
+            await outbidUser.send(
+              `You were outbid on **${auction.title}** (${amount} coins). Your ${outbid.amount} coins have been returned.`
+            );
+          } catch (err) {
+            cmdLog.debug('Could not DM outbid notice', { error: err.message });
+          }
+        }
+      }
+
+      cmdLog.info('Bid placed', { auctionId: auction._id, amount });
+
+      const updated = await Auction.findById(auction._id);
+      await this.refreshMessage(interaction.client, updated);
+
+      return interaction.editReply(
+        `✅ You're the highest bidder on **${auction.title}** with **${amount}** coins. Balance: **${escrow.balance}**.`
+      );
+    } catch (error) {
+      captureException(error, { area: 'auction-bid', auctionId, user: interaction.user.id });
+      cmdLog.error('Error placing bid', { error: error.message });
+      return interaction.editReply('❌ An error occurred while placing your bid.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(auctionCommand.name, auctionCommand);
+
+module.exports = auctionCommand;
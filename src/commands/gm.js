@@ -1,38 +1,13 @@
 // src/commands/gm.js
 const User = require('../models/User');
-const moment = require('moment');
+const economy = require('../utils/economy');
 const logger = require('../utils/logger');
 const { validatePositiveInteger } = require('../utils/validator');
 const commandRegistry = require('../utils/commandRegistry');
 const { captureException } = require('../utils/errorMonitoring');
-
-/**
- * pickWeighted(min, max)
- * Returns a random integer in [min..max], using 1/(k^2) weighting:
- * smaller k is more likely, larger k is rarer.
- */
-function pickWeighted(min, max) {
-  const weights = [];
-  let sum = 0;
-
-  for (let k = min; k <= max; k++) {
-    const w = 1 / (k * k);
-    weights.push(w);
-    sum += w;
-  }
-
-  const r = Math.random() * sum;
-  let cumulative = 0;
-
-  for (let i = 0; i < weights.length; i++) {
-    cumulative += weights[i];
-    if (r <= cumulative) {
-      return min + i;
-    }
-  }
-  // Fallback
-  return max;
-}
+const config = require('../config');
+const { pickReward, getEventMultiplier, getRewardConfig } = require('../utils/gmRewards');
+const { isValidTimeZone, getResetDayNumber, getNextReset } = require('../utils/dailyReset');
 
 /**
  * Daily GM Command
@@ -42,19 +17,75 @@ const gmCommand = {
   description: 'Get your daily GM reward',
   
   /**
-   * Calculate reward amount based on probability
-   * @returns {number} The reward amount
+   * Calculate reward amount from the weighted table stored in the database
+   * @returns {Promise<Object>} Base reward and the active event multiplier
    */
-  calculateReward() {
-    // Example weighted random: 1 coin = 40% chance, 100 coins = 1 in 10,000, otherwise 2..99 weighted
-    const rand = Math.random();
-    if (rand < 0.0001) {
-      return 100;
-    } else if (rand < 0.4001) {
-      return 1;
-    } else {
-      return pickWeighted(2, 99);
+  async calculateReward() {
+    const rewardConfig = await getRewardConfig();
+    const { multiplier, events } = getEventMultiplier(rewardConfig);
+    
+    return {
+      baseReward: pickReward(rewardConfig.tiers),
+      eventMultiplier: multiplier,
+      eventNames: events.map(event => event.name)
+    };
+  },
+  
+  /**
+   * Reward multiplier for a streak length, from the configured tier table
+   * @param {number} streak - Consecutive days claimed, including today
+   * @returns {number} Multiplier to apply to the base reward
+   */
+  getStreakMultiplier(streak) {
+    let multiplier = 1;
+    for (const tier of config.gm.streakMultipliers) {
+      if (streak >= tier.days) {
+        multiplier = tier.multiplier;
+      }
     }
+    return multiplier;
+  },
+  
+  /**
+   * Timezone that decides when this user's GM day resets
+   * @param {Object} userDoc - User document
+   * @returns {string} IANA timezone
+   */
+  getTimeZone(userDoc) {
+    // The preferences migration backfilled 'UTC' for everyone, so only a
+    // timezone the user picked themselves (timezoneUpdatedAt set) counts
+    const { timezone: userTimeZone, timezoneUpdatedAt } = userDoc.preferences || {};
+    if (config.gm.allowUserTimezone && timezoneUpdatedAt && isValidTimeZone(userTimeZone)) {
+      return userTimeZone;
+    }
+    return config.gm.timezone;
+  },
+  
+  /**
+   * Work out the streak after today's claim. Claiming on consecutive reset
+   * days extends the streak; each streak freeze covers one missed day.
+   * @param {Object} userDoc - User document before the claim
+   * @param {number} today - Reset day number of this claim
+   * @param {number|null} lastDay - Reset day number of the previous claim
+   * @returns {Object} New streak and the number of freezes used
+   */
+  computeStreak(userDoc, today, lastDay) {
+    if (lastDay === null) {
+      return { streak: 1, freezesUsed: 0 };
+    }
+    
+    const currentStreak = userDoc.gmStreak || 0;
+    const missedDays = today - lastDay - 1;
+    
+    if (missedDays <= 0) {
+      return { streak: currentStreak + 1, freezesUsed: 0 };
+    }
+    
+    if ((userDoc.streakFreezes || 0) >= missedDays) {
+      return { streak: currentStreak + 1, freezesUsed: missedDays };
+    }
+    
+    return { streak: 1, freezesUsed: 0 };
   },
   
   /**
@@ -78,30 +109,78 @@ const gmCommand = {
         { new: true, upsert: true }
       );
 
-      // Daily cooldown check
-      const now = moment();
-      if (userDoc.lastDaily) {
-        const diffHours = now.diff(moment(userDoc.lastDaily), 'hours');
-        if (diffHours < 24) {
-          cmdLog.debug('User attempted GM before cooldown', { hoursLeft: 24 - diffHours });
-          
-          return interaction.editReply(
-            `Sorry <@${discordId}>, you have **${24 - diffHours}** hour(s) left until your next GM reward.`
-          );
-        }
+      // Daily cooldown check: one claim per reset day
+      const now = new Date();
+      const timeZone = this.getTimeZone(userDoc);
+      const { resetHour } = config.gm;
+      const today = getResetDayNumber(now, timeZone, resetHour);
+      const lastDay = userDoc.lastDaily ? getResetDayNumber(userDoc.lastDaily, timeZone, resetHour) : null;
+      const nextClaimAt = Math.floor(getNextReset(now, timeZone, resetHour).getTime() / 1000);
+      
+      if (lastDay !== null && lastDay >= today) {
+        cmdLog.debug('User attempted GM before reset', { timeZone, nextClaimAt });
+        
+        return interaction.editReply(
+          `Sorry <@${discordId}>, you already claimed today's GM. Your next GM reward is available <t:${nextClaimAt}:R>.`
+        );
       }
 
-      // Calculate reward
-      const reward = this.calculateReward();
+      // Calculate reward, scaled by the streak this claim produces
+      const { streak, freezesUsed } = this.computeStreak(userDoc, today, lastDay);
+      const streakMultiplier = this.getStreakMultiplier(streak);
+      const { baseReward, eventMultiplier, eventNames } = await this.calculateReward();
+      const multiplier = streakMultiplier * eventMultiplier;
+      const reward = Math.max(1, Math.round(baseReward * multiplier));
       
-      userDoc.coins += reward;
-      userDoc.lastDaily = now.toDate();
-      await userDoc.save();
+      // Only apply if nobody claimed since we read the document, so a
+      // double-submitted /gm can only be paid (and counted) once
+      const filter = { lastDaily: userDoc.lastDaily };
+      if (freezesUsed > 0) {
+        filter.streakFreezes = { $gte: freezesUsed };
+      }
       
-      cmdLog.info('User claimed GM reward', { reward });
+      const result = await economy.credit(discordId, reward, {
+        source: 'gm',
+        reason: multiplier !== 1 ? `Daily GM reward (${streak}-day streak, x${multiplier})` : 'Daily GM reward',
+        actorId: discordId,
+        username,
+        stats: freezesUsed > 0 ? { streakFreezes: -freezesUsed } : {},
+        set: {
+          lastDaily: now,
+          gmStreak: streak,
+          longestGmStreak: Math.max(userDoc.longestGmStreak || 0, streak)
+        },
+        filter
+      });
+      
+      if (!result.success) {
+        cmdLog.debug('GM claim refused', { code: result.code });
+        return interaction.editReply(
+          `Sorry <@${discordId}>, you already claimed today's GM. Your next GM reward is available <t:${nextClaimAt}:R>.`
+        );
+      }
+      
+      cmdLog.info('User claimed GM reward', {
+        reward,
+        baseReward,
+        streak,
+        streakMultiplier,
+        eventMultiplier,
+        freezesUsed,
+        balance: result.balance
+      });
 
       // Use the mention and a custom message
-      await interaction.editReply(`gm <@${discordId}>! You earned **${reward}** coin(s) today!`);
+      const bonuses = [];
+      if (streakMultiplier > 1) bonuses.push(`x${streakMultiplier} streak bonus`);
+      if (eventMultiplier !== 1) bonuses.push(`x${eventMultiplier} ${eventNames.join(' + ')}`);
+      const multiplierText = bonuses.length ? ` (${bonuses.join(', ')})` : '';
+      const freezeText = freezesUsed > 0 ? `\n🧊 Used **${freezesUsed}** streak freeze(s) to keep your streak alive.` : '';
+      await interaction.editReply(
+        `gm <@${discordId}>! You earned **${reward}** coin(s) today${multiplierText}!\n` +
+        `🔥 GM streak: **${streak}** day(s)${freezeText}\n` +
+        `Next GM <t:${nextClaimAt}:R>.`
+      );
     } catch (error) {
       captureException(error, { command: 'gm', user: interaction.user.id });
       cmdLog.error('Error in GM command', { error: error.message });
@@ -0,0 +1,230 @@
+// src/commands/gmConfig.js
+const { EmbedBuilder } = require('discord.js');
+const GmRewardConfig = require('../models/GmRewardConfig');
+const { DEFAULT_TIERS, MAX_TIER_REWARD } = require('../models/GmRewardConfig');
+const checkAdmin = require('../utils/checkAdmin');
+const logger = require('../utils/logger');
+const { validateString, validateDateTime, ValidationError } = require('../utils/validator');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+const {
+  describeDistribution,
+  getEventMultiplier,
+  invalidateRewardConfig
+} = require('../utils/gmRewards');
+
+const MAX_TIERS = 10;
+
+/**
+ * GM Config Command - view and edit the GM reward table (Admin only)
+ */
+const gmConfigCommand = {
+  name: 'gm-config',
+  description: 'View and edit the GM reward distribution (Admin only)',
+
+  /**
+   * Build the overview embed with odds, expected value and events
+   * @param {Object} rewardConfig - GmRewardConfig document
+   * @returns {EmbedBuilder} Discord embed
+   */
+  buildConfigEmbed(rewardConfig) {
+    const totalWeight = rewardConfig.tiers.reduce((sum, tier) => sum + tier.weight, 0);
+
+    const tierLines = rewardConfig.tiers.map((tier, index) => {
+      const range = tier.min === tier.max ? `${tier.min}` : `${tier.min}–${tier.max}`;
+      const chance = totalWeight > 0 ? (tier.weight / totalWeight) * 100 : 0;
+      const curve = tier.curve === 'inverse_square' ? ' (1/k² weighted)' : '';
+      return `\`#${index + 1}\` **${range}** coins · ${chance.toFixed(4)}%${curve}`;
+    });
+
+    const base = describeDistribution(rewardConfig.tiers);
+    const { multiplier } = getEventMultiplier(rewardConfig);
+    const statsLines = [
+      `Expected value: **${base.expectedValue.toFixed(2)}** coins`,
+      `Variance: **${base.variance.toFixed(2)}** (σ ${base.stdDev.toFixed(2)})`
+    ];
+
+    if (multiplier !== 1) {
+      const boosted = describeDistribution(rewardConfig.tiers, multiplier);
+      statsLines.push(`With active events (x${multiplier}): **${boosted.expectedValue.toFixed(2)}** coins, σ ${boosted.stdDev.toFixed(2)}`);
+    }
+
+    statsLines.push('_Before streak multipliers._');
+
+    const now = new Date();
+    const eventLines = rewardConfig.events.map(event => {
+      const start = Math.floor(event.startsAt.getTime() / 1000);
+      const end = Math.floor(event.endsAt.getTime() / 1000);
+      const status = event.endsAt <= now ? 'ended' : event.startsAt <= now ? '**active**' : 'scheduled';
+      return `**${event.name}** x${event.multiplier} · <t:${start}:f> → <t:${end}:f> (${status})`;
+    });
+
+    return new EmbedBuilder()
+      .setTitle('⚙️ GM Reward Config')
+      .setColor('Blurple')
+      .addFields(
+        { name: 'Reward tiers', value: tierLines.join('\n') || 'No tiers configured' },
+        { name: 'Statistics', value: statsLines.join('\n') },
+        { name: 'Events', value: eventLines.join('\n') || 'No events' }
+      );
+  },
+
+  /**
+   * Add a reward tier
+   */
+  async addTier(rewardConfig, interaction) {
+    const min = interaction.options.getInteger('min');
+    const max = interaction.options.getInteger('max');
+    const weight = interaction.options.getNumber('weight');
+    const curve = interaction.options.getString('curve') || 'flat';
+
+    if (min < 1 || max < min) {
+      throw new ValidationError('Min must be at least 1 and max must not be below min', 'min');
+    }
+    if (max > MAX_TIER_REWARD) {
+      throw new ValidationError(`Rewards can be at most ${MAX_TIER_REWARD} coins`, 'max');
+    }
+    if (!(weight > 0)) {
+      throw new ValidationError('Weight must be positive', 'weight');
+    }
+    if (rewardConfig.tiers.length >= MAX_TIERS) {
+      throw new ValidationError(`At most ${MAX_TIERS} tiers are allowed`, 'tiers');
+    }
+
+    rewardConfig.tiers.push({ min, max, weight, curve });
+    return `Added tier **${min}–${max}** with weight ${weight}.`;
+  },
+
+  /**
+   * Remove a reward tier by its 1-based position
+   */
+  async removeTier(rewardConfig, interaction) {
+    const position = interaction.options.getInteger('tier');
+
+    if (position < 1 || position > rewardConfig.tiers.length) {
+      throw new ValidationError(`Tier must be between 1 and ${rewardConfig.tiers.length}`, 'tier');
+    }
+    if (rewardConfig.tiers.length === 1) {
+      throw new ValidationError('The last tier cannot be removed', 'tier');
+    }
+
+    rewardConfig.tiers.splice(position - 1, 1);
+    return `Removed tier #${position}.`;
+  },
+
+  /**
+   * Schedule a temporary reward multiplier
+   */
+  async addEvent(rewardConfig, interaction) {
+    const name = validateString(interaction.options.getString('name'), {
+      fieldName: 'Event name',
+      minLength: 1,
+      maxLength: 50
+    });
+    const multiplier = interaction.options.getNumber('multiplier');
+    const startsAt = validateDateTime(interaction.options.getString('starts_at'), 'Start time');
+    const endsAt = validateDateTime(interaction.options.getString('ends_at'), 'End time');
+
+    if (!(multiplier > 0)) {
+      throw new ValidationError('Multiplier must be positive', 'multiplier');
+    }
+    if (endsAt <= startsAt) {
+      throw new ValidationError('End time must be after the start time', 'ends_at');
+    }
+    if (rewardConfig.events.some(event => event.name === name)) {
+      throw new ValidationError(`An event named "${name}" already exists`, 'name');
+    }
+
+    // Drop events that are long over so the list stays readable
+    const now = new Date();
+    rewardConfig.events = rewardConfig.events.filter(event => event.endsAt > now);
+    rewardConfig.events.push({ name, multiplier, startsAt, endsAt, createdBy: interaction.user.id });
+
+    return `Scheduled **${name}** (x${multiplier}) from <t:${Math.floor(startsAt / 1000)}:f> to <t:${Math.floor(endsAt / 1000)}:f>.`;
+  },
+
+  /**
+   * Remove an event by name
+   */
+  async removeEvent(rewardConfig, interaction) {
+    const name = interaction.options.getString('name');
+    const before = rewardConfig.events.length;
+
+    rewardConfig.events = rewardConfig.events.filter(event => event.name !== name);
+
+    if (rewardConfig.events.length === before) {
+      throw new ValidationError(`No event named "${name}"`, 'name');
+    }
+
+    return `Removed event **${name}**.`;
+  },
+
+  /**
+   * Execute the gm-config command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'gm-config',
+      userId: interaction.user.id
+    });
+
+    if (!(await checkAdmin(interaction))) return;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const rewardConfig = await GmRewardConfig.getConfig();
+
+      if (subcommand === 'view') {
+        return interaction.editReply({ embeds: [this.buildConfigEmbed(rewardConfig)] });
+      }
+
+      let message;
+      switch (subcommand) {
+        case 'add-tier':
+          message = await this.addTier(rewardConfig, interaction);
+          break;
+        case 'remove-tier':
+          message = await this.removeTier(rewardConfig, interaction);
+          break;
+        case 'add-event':
+          message = await this.addEvent(rewardConfig, interaction);
+          break;
+        case 'remove-event':
+          message = await this.removeEvent(rewardConfig, interaction);
+          break;
+        case 'reset':
+          rewardConfig.tiers = DEFAULT_TIERS.map(tier => ({ ...tier }));
+          message = 'Reward tiers reset to the defaults.';
+          break;
+        default:
+          return interaction.editReply('Unknown subcommand.');
+      }
+
+      rewardConfig.updatedBy = interaction.user.id;
+      await rewardConfig.save();
+      invalidateRewardConfig();
+
+      cmdLog.info('Updated GM reward config', { subcommand });
+
+      return interaction.editReply({
+        content: `✅ ${message}`,
+        embeds: [this.buildConfigEmbed(rewardConfig)]
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return interaction.editReply(`📋 ${error.message}`);
+      }
+
+      captureException(error, { command: 'gm-config', user: interaction.user.id });
+      cmdLog.error('Error in gm-config command', { error: error.message });
+      return interaction.editReply('An error occurred while updating the GM config.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(gmConfigCommand.name, gmConfigCommand);
+
+module.exports = gmConfigCommand;
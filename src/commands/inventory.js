@@ -0,0 +1,74 @@
+// src/commands/inventory.js
+const { EmbedBuilder } = require('discord.js');
+const Inventory = require('../models/Inventory');
+const logger = require('../utils/logger');
+const commandRegistry = require('../utils/commandRegistry');
+const itemHandlerRegistry = require('../utils/itemHandlerRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+
+/**
+ * Inventory Command - list the items you own
+ */
+const inventoryCommand = {
+  name: 'inventory',
+  description: 'View the items you own',
+
+  /**
+   * Format one inventory entry as a line
+   * @param {Object} entry - Inventory document
+   * @returns {string} Display line
+   */
+  formatEntry(entry) {
+    if (entry.itemType === 'timed_role') {
+      const expires = Math.floor(entry.expiresAt.getTime() / 1000);
+      return `**${entry.itemName}** · <@&${entry.roleId}> · expires <t:${expires}:R>`;
+    }
+
+    const handler = entry.effect ? itemHandlerRegistry.get(entry.effect) : null;
+    const usable = handler ? ` · ${handler.description}, \`/use ${entry.itemName}\`` : '';
+    return `**${entry.itemName}** ×${entry.quantity}${usable}`;
+  },
+
+  /**
+   * Execute the inventory command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'inventory',
+      userId: interaction.user.id
+    });
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const entries = await Inventory.find({
+        discordId: interaction.user.id,
+        $or: [
+          { itemType: 'consumable', quantity: { $gt: 0 } },
+          { itemType: 'timed_role', expiresAt: { $gt: new Date() } }
+        ]
+      }).sort({ itemType: 1, itemName: 1 });
+
+      if (!entries.length) {
+        return interaction.editReply('Your inventory is empty. Visit `/marketplace` to buy items.');
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('🎒 Inventory')
+        .setColor('Gold')
+        .setDescription(entries.map(entry => this.formatEntry(entry)).join('\n'));
+
+      return interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      captureException(error, { command: 'inventory', user: interaction.user.id });
+      cmdLog.error('Error in inventory command', { error: error.message });
+      return interaction.editReply('An error occurred while loading your inventory.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(inventoryCommand.name, inventoryCommand);
+
+module.exports = inventoryCommand;
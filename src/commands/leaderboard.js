@@ -1,45 +1,102 @@
 // src/commands/leaderboard.js
-const { EmbedBuilder } = require('discord.js');
-const User = require('../models/User');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const logger = require('../utils/logger');
-const { hasTeamRole } = require('../utils/roleCheck');
 const commandRegistry = require('../utils/commandRegistry');
 const { captureException } = require('../utils/errorMonitoring');
-const { defaultCache } = require('../utils/cacheManager');
+const {
+  METRICS,
+  PERIODS,
+  getGuildLeaderboard,
+  formatMetricValue
+} = require('../utils/leaderboards');
+
+const ENTRIES_PER_PAGE = 10;
 
 /**
  * Leaderboard Command
  */
 const leaderboardCommand = {
   name: 'leaderboard',
-  description: 'View the top 10 users with the most coins (excluding Team).',
-  
+  description: 'View the top users by coins, activity or GM streak (excluding Team).',
+
   /**
-   * Build the leaderboard embed
-   * @param {Array} topUsers - Array of user data with membership information
+   * Number of pages and the clamped current page
+   * @param {Array} entries - Ranked entries
+   * @param {number} page - Requested zero-based page
+   * @returns {Object} { pages, currentPage }
+   */
+  getPaging(entries, page) {
+    const pages = Math.max(Math.ceil(entries.length / ENTRIES_PER_PAGE), 1);
+    return { pages, currentPage: Math.min(Math.max(page, 0), pages - 1) };
+  },
+
+  /**
+   * Build the leaderboard embed for one page
+   * @param {Array} entries - Ranked entries ({ discordId, username, value })
+   * @param {string} metric - Key of METRICS
+   * @param {string} period - Key of PERIODS
+   * @param {Object} options - page, scopeLabel (replaces the period name), footer
    * @returns {EmbedBuilder} Discord embed for the leaderboard
    */
-  buildLeaderboardEmbed(topUsers) {
+  buildLeaderboardEmbed(entries, metric, period, { page = 0, scopeLabel, footer } = {}) {
     // rankEmojis for the top 3
     const rankEmojis = ['🏆', '🥈', '🥉'];
+    const definition = METRICS[metric];
+    const windowed = period !== 'all' && !definition.lifetimeOnly;
+
+    const { pages, currentPage } = this.getPaging(entries, page);
+    const offset = currentPage * ENTRIES_PER_PAGE;
 
     // Build the leaderboard lines
-    const leaderboardLines = topUsers.map(({ userDoc, member }, index) => {
-      const rank = rankEmojis[index] || `#${index + 1}`;
-      return `${rank} **${member.user.username}** (<@${userDoc.discordId}>) - **${userDoc.coins.toLocaleString()}** coins`;
+    const leaderboardLines = entries.slice(offset, offset + ENTRIES_PER_PAGE).map((entry, index) => {
+      const position = offset + index;
+      const rank = rankEmojis[position] || `#${position + 1}`;
+      return `${rank} **${entry.username}** (<@${entry.discordId}>) - **${formatMetricValue(metric, entry.value)}**`;
     });
 
+    const label = windowed ? definition.windowLabel || definition.label : definition.label;
+    const scope = scopeLabel || (definition.lifetimeOnly ? 'Current' : PERIODS[period]);
+
     // Construct the embed
-    const embed = new EmbedBuilder()
-      .setTitle('🏅 Leaderboard')
-      .setDescription(leaderboardLines.join('\n'))
+    return new EmbedBuilder()
+      .setTitle(`🏅 Leaderboard · ${label} · ${scope}`)
+      .setDescription(leaderboardLines.join('\n') || 'Nobody has ranked yet for this period.')
       .setColor('Gold')
       .setThumbnail('https://static.thenounproject.com/png/5340118-200.png')
-      .setFooter({ text: `Last updated: ${new Date().toLocaleString()}` });
-      
-    return embed;
+      .setFooter({ text: footer || `Page ${currentPage + 1} of ${pages} · Last updated: ${new Date().toLocaleString()}` });
+  },
+
+  /**
+   * Build one page of a leaderboard with Previous/Next buttons
+   * @param {Array} entries - Ranked entries ({ discordId, username, value })
+   * @param {string} metric - Key of METRICS
+   * @param {string} period - Key of PERIODS
+   * @param {number} page - Zero-based page index
+   * @returns {Object} Reply payload
+   */
+  buildLeaderboardPage(entries, metric, period, page) {
+    const { pages, currentPage } = this.getPaging(entries, page);
+    const embed = this.buildLeaderboardEmbed(entries, metric, period, { page: currentPage });
+
+    const components = [];
+    if (pages > 1) {
+      components.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`leaderboard_page:${metric}:${period}:${currentPage - 1}`)
+          .setLabel('Previous')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(currentPage <= 0),
+        new ButtonBuilder()
+          .setCustomId(`leaderboard_page:${metric}:${period}:${currentPage + 1}`)
+          .setLabel('Next')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(currentPage >= pages - 1)
+      ));
+    }
+
+    return { embeds: [embed], components };
   },
-  
+
   /**
    * Execute the leaderboard command
    * @param {Object} interaction - Discord interaction
@@ -48,82 +105,46 @@ const leaderboardCommand = {
     const cmdLog = logger.withContext({ command: 'leaderboard' });
     await interaction.deferReply();
 
+    const metric = interaction.options.getString('metric') || 'coins';
+    const period = interaction.options.getString('period') || 'all';
+
     try {
-      // Try to get from cache first (1 minute TTL)
-      const cacheKey = `leaderboard:${interaction.guild.id}`;
-      
-      const cachedEmbed = defaultCache.get(cacheKey);
-      if (cachedEmbed) {
-        cmdLog.debug('Serving cached leaderboard');
-        return interaction.editReply({ embeds: [cachedEmbed] });
-      }
-      
-      // Cache miss - fetch data
-      cmdLog.debug('Cache miss, fetching leaderboard data');
-      
-      // Fetch top users with better query optimization
-      const topUsers = await User.find({}, 'discordId username coins', { 
-        lean: true,
-        sort: { coins: -1 },
-        limit: 20 // Fetch more to allow for filtering out Team
-      });
+      // Cached for a minute per metric and period
+      const entries = await getGuildLeaderboard(interaction.guild, metric, period);
+      cmdLog.debug('Leaderboard ready', { metric, period, entries: entries.length });
 
-      if (!topUsers.length) {
-        return interaction.editReply('No leaderboard data available.');
-      }
-
-      // More efficient way to handle guild members
-      const guildMembersCache = interaction.guild.members.cache;
-      const membersToFetch = [];
-      
-      for (const userDoc of topUsers) {
-        if (!guildMembersCache.has(userDoc.discordId)) {
-          membersToFetch.push(userDoc.discordId);
-        }
-      }
-      
-      // Only fetch what we don't have in cache
-      if (membersToFetch.length > 0) {
-        cmdLog.debug(`Fetching ${membersToFetch.length} members not in cache`);
-        await interaction.guild.members.fetch({ user: membersToFetch });
-      }
-      
-      // Build the final filtered list with member data
-      const filtered = [];
-      for (const userDoc of topUsers) {
-        const member = interaction.guild.members.cache.get(userDoc.discordId);
-        
-        // Skip if member not found or is a Team member
-        if (!member || hasTeamRole(member)) {
-          continue;
-        }
-        
-        filtered.push({ userDoc, member });
-        if (filtered.length >= 10) break; // Only need top 10
-      }
-
-      if (!filtered.length) {
-        return interaction.editReply('No leaderboard data available (all top users are Team?).');
-      }
-
-      // Build and cache the embed
-      const embed = this.buildLeaderboardEmbed(filtered);
-      defaultCache.set(cacheKey, embed, 60); // Cache for 1 minute
-      
-      await interaction.editReply({ embeds: [embed] });
+      await interaction.editReply(this.buildLeaderboardPage(entries, metric, period, 0));
     } catch (error) {
-      captureException(error, { 
+      captureException(error, {
         command: 'leaderboard',
-        guild: interaction.guild.id
+        guild: interaction.guild.id,
+        metric,
+        period
       });
-      
+
       cmdLog.error('Error in leaderboard command', { error: error.message });
       await interaction.editReply('An error occurred while fetching the leaderboard.');
     }
+  },
+
+  /**
+   * Previous/Next buttons on a leaderboard
+   * @param {Object} interaction - Button interaction
+   */
+  async handlePageButton(interaction) {
+    // leaderboard_page:<metric>:<period>:<page>
+    const [, metric, period, page] = interaction.customId.split(':');
+
+    if (!METRICS[metric] || !PERIODS[period]) {
+      return interaction.reply({ content: 'This leaderboard is no longer available.', ephemeral: true });
+    }
+
+    const entries = await getGuildLeaderboard(interaction.guild, metric, period);
+    return interaction.update(this.buildLeaderboardPage(entries, metric, period, parseInt(page, 10) || 0));
   }
 };
 
 // Register command
 commandRegistry.register(leaderboardCommand.name, leaderboardCommand);
 
-module.exports = leaderboardCommand;
\ No newline at end of file
+module.exports = leaderboardCommand;
@@ -4,18 +4,87 @@ const {
   ButtonBuilder,
   ButtonStyle,
   ActionRowBuilder,
+  StringSelectMenuBuilder,
   PermissionsBitField
 } = require('discord.js');
+const mongoose = require('mongoose');
 const MarketplaceItem = require('../models/MarketplaceItem');
+const Inventory = require('../models/Inventory');
+const Order = require('../models/Order');
 const User = require('../models/User');
+const economy = require('../utils/economy');
+const { RESULT_CODES } = require('../utils/economy');
 const checkAdmin = require('../utils/checkAdmin');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { validateString, validatePositiveInteger } = require('../utils/validator');
+const {
+  validateString,
+  validatePositiveInteger,
+  validateDateTime,
+  validateUrl,
+  handleValidationError,
+  ValidationError
+} = require('../utils/validator');
 const { defaultCache } = require('../utils/cacheManager');
 const commandRegistry = require('../utils/commandRegistry');
+const itemHandlerRegistry = require('../utils/itemHandlerRegistry');
+const {
+  getActiveSales,
+  getEffectivePrice,
+  formatPrice,
+  recordDemand
+} = require('../utils/marketplacePricing');
 const { captureException } = require('../utils/errorMonitoring');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ITEMS_PER_PAGE = 10;
+const DEFAULT_CATEGORY = 'General';
+const ORDER_HISTORY_LIMIT = 15;
+
+const ORDER_STATUS_LABELS = {
+  pending: '⏳ Pending',
+  fulfilled: '✅ Fulfilled',
+  refunded: '💸 Refunded',
+  failed: '❌ Failed (refunded)'
+};
+
+const ITEM_TYPE_LABELS = {
+  role: 'Role',
+  timed_role: 'Timed role',
+  consumable: 'Consumable',
+  custom: 'Custom reward',
+  streak_freeze: 'GM streak freeze'
+};
+
+// Purchases in flight, keyed "<userId>:<itemId>", so double clicks can't
+// slip past the per-user limit
+const pendingPurchases = new Set();
+
+/**
+ * Extra lines shown under an item in the marketplace listing
+ * @param {Object} item - MarketplaceItem document
+ * @param {Object} pricing - Current price from getEffectivePrice
+ * @returns {string} Field value
+ */
+function formatItemDetails(item, pricing) {
+  const lines = [`Price: ${formatPrice(pricing)} · ${ITEM_TYPE_LABELS[item.type] || item.type}`];
+
+  if (item.description) lines.push(item.description);
+  if (item.type === 'timed_role') lines.push(`Lasts ${item.durationDays} day(s)`);
+  if (item.effect) {
+    const handler = itemHandlerRegistry.get(item.effect);
+    lines.push(`Use: ${handler?.description || item.effect}`);
+  }
+  if (item.stock !== null && item.stock !== undefined) {
+    lines.push(item.stock > 0 ? `${item.stock} left` : '**Sold out**');
+  }
+  if (item.perUserLimit) lines.push(`Limit ${item.perUserLimit} per member`);
+  if (item.demandStepPercent) lines.push(`Price rises ${item.demandStepPercent}% per recent purchase`);
+  if (item.availableUntil) lines.push(`Available until <t:${Math.floor(item.availableUntil.getTime() / 1000)}:f>`);
+
+  return lines.join('\n');
+}
+
 /**
  * Marketplace Commands
  */
@@ -32,63 +101,8 @@ const marketplaceCommands = {
     await interaction.deferReply();
     
     try {
-      // Try to get from cache first
-      const cacheKey = `marketplace:${interaction.guild.id}`;
-      const cachedResponse = defaultCache.get(cacheKey);
-      
-      if (cachedResponse) {
-        cmdLog.debug('Serving cached marketplace');
-        return interaction.editReply(cachedResponse);
-      }
-      
-      // Fetch all marketplace items
-      const items = await MarketplaceItem.find().lean();
-      
-      if (!items.length) {
-        return interaction.editReply('No items are available in the marketplace.');
-      }
-
-      const embed = new EmbedBuilder()
-        .setTitle('🛒 Marketplace')
-        .setDescription('Click the button below to purchase items')
-        .setColor('Green');
-
-      items.forEach((item) => {
-        embed.addFields({ 
-          name: item.name, 
-          value: `Price: **${item.price}** coins` 
-        });
-      });
-
-      // Create rows of buttons (5 max per row)
-      const rows = [];
-      let row = new ActionRowBuilder();
-      let count = 0;
-
-      for (const item of items) {
-        const button = new ButtonBuilder()
-          .setCustomId(`purchase_${item._id}`)
-          .setLabel(`Buy ${item.name}`)
-          .setStyle(ButtonStyle.Primary);
-
-        row.addComponents(button);
-        count++;
-        
-        if (count === 5) {
-          rows.push(row);
-          row = new ActionRowBuilder();
-          count = 0;
-        }
-      }
-      
-      if (count > 0) {
-        rows.push(row);
-      }
-
-      const responseData = { embeds: [embed], components: rows };
-      
-      // Cache the response
-      defaultCache.set(cacheKey, responseData, 60); // 1 minute TTL
+      const category = interaction.options.getString('category');
+      const responseData = await this.getMarketplacePage(interaction.guild.id, category, 0);
       
       return interaction.editReply(responseData);
     } catch (error) {
@@ -102,6 +116,204 @@ const marketplaceCommands = {
     }
   },
 
+  /**
+   * Cached marketplace page
+   * @param {string} guildId - Guild the listing is shown in
+   * @param {string|null} category - Requested category (first one if null or unknown)
+   * @param {number} page - Zero-based page index
+   * @returns {Promise<Object>} Reply payload
+   */
+  getMarketplacePage(guildId, category, page) {
+    return defaultCache.getOrFetch(
+      `marketplace:${guildId}:${category || ''}:${page}`,
+      () => this.buildMarketplacePage(category, page),
+      { ttl: 60 }
+    );
+  },
+
+  /**
+   * Build one page of one category: item fields, a category menu,
+   * an item menu to start a purchase and Previous/Next buttons
+   * @param {string|null} category - Requested category
+   * @param {number} page - Zero-based page index
+   * @returns {Promise<Object>} Reply payload
+   */
+  async buildMarketplacePage(category, page) {
+    // Items inside their availability window
+    const now = new Date();
+    const available = (await MarketplaceItem.find().sort({ price: 1, name: 1 }))
+      .filter(item => item.isAvailable(now));
+
+    if (!available.length) {
+      return { content: 'No items are available in the marketplace.', embeds: [], components: [] };
+    }
+
+    const categories = [...new Set(available.map(item => item.category || DEFAULT_CATEGORY))].sort();
+    const currentCategory = categories.includes(category) ? category : categories[0];
+    const items = available.filter(item => (item.category || DEFAULT_CATEGORY) === currentCategory);
+
+    const sales = await getActiveSales();
+    const pages = Math.ceil(items.length / ITEMS_PER_PAGE);
+    const currentPage = Math.min(Math.max(page, 0), pages - 1);
+    const pageItems = items.slice(currentPage * ITEMS_PER_PAGE, (currentPage + 1) * ITEMS_PER_PAGE);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🛒 Marketplace · ${currentCategory}`)
+      .setDescription('Pick an item from the menu below to buy it')
+      .setColor('Green')
+      .setFooter({ text: `Page ${currentPage + 1} of ${pages} · ${items.length} item(s) in ${currentCategory}` });
+
+    pageItems.forEach((item) => {
+      embed.addFields({ 
+        name: item.name, 
+        value: formatItemDetails(item, getEffectivePrice(item, sales, now))
+      });
+    });
+
+    const rows = [];
+
+    if (categories.length > 1) {
+      rows.push(new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId('marketplace_category')
+          .setPlaceholder('Browse another category')
+          .addOptions(categories.slice(0, 25).map(name => ({
+            label: name,
+            value: name,
+            default: name === currentCategory
+          })))
+      ));
+    }
+
+    const purchasable = pageItems.filter(item => item.stock !== 0);
+    if (purchasable.length) {
+      rows.push(new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId('marketplace_item')
+          .setPlaceholder('Choose an item to buy')
+          .addOptions(purchasable.map(item => {
+            const { price, percentOff } = getEffectivePrice(item, sales, now);
+            const discount = percentOff ? ` (-${percentOff}%)` : '';
+            return {
+              label: item.name.slice(0, 100),
+              description: `${price} coins${discount} · ${ITEM_TYPE_LABELS[item.type] || item.type}`.slice(0, 100),
+              value: String(item._id)
+            };
+          }))
+      ));
+    }
+
+    if (pages > 1) {
+      rows.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`marketplace_page:${currentPage - 1}:${currentCategory}`)
+          .setLabel('Previous')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(currentPage <= 0),
+        new ButtonBuilder()
+          .setCustomId(`marketplace_page:${currentPage + 1}:${currentCategory}`)
+          .setLabel('Next')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(currentPage >= pages - 1)
+      ));
+    }
+
+    return { content: '', embeds: [embed], components: rows };
+  },
+
+  /**
+   * Category menu on the marketplace listing
+   * @param {Object} interaction - Select menu interaction
+   */
+  async handleCategorySelect(interaction) {
+    const payload = await this.getMarketplacePage(interaction.guild.id, interaction.values[0], 0);
+    return interaction.update(payload);
+  },
+
+  /**
+   * Previous/Next buttons on the marketplace listing
+   * @param {Object} interaction - Button interaction
+   */
+  async handlePageButton(interaction) {
+    // marketplace_page:<page>:<category>; category names may contain ':'
+    const [, page, ...category] = interaction.customId.split(':');
+    const payload = await this.getMarketplacePage(interaction.guild.id, category.join(':'), parseInt(page, 10) || 0);
+    return interaction.update(payload);
+  },
+
+  /**
+   * Item menu on the marketplace listing: show the item privately with
+   * Confirm/Cancel buttons. Nothing is charged until Confirm is clicked.
+   * @param {Object} interaction - Select menu interaction
+   */
+  async handleItemSelect(interaction) {
+    return this.showPurchaseConfirmation(interaction, interaction.values[0]);
+  },
+
+  /**
+   * Buy buttons on marketplace posts from before the item menu: they go
+   * through the same confirmation instead of buying straight away
+   * @param {Object} interaction - Button interaction with a `purchase_<itemId>` ID
+   */
+  async handleLegacyPurchaseButton(interaction) {
+    return this.showPurchaseConfirmation(interaction, interaction.customId.split('_')[1]);
+  },
+
+  /**
+   * Reply privately with an item's current price and Confirm/Cancel buttons
+   * @param {Object} interaction - Select menu or button interaction
+   * @param {string} itemId - MarketplaceItem ID
+   */
+  async showPurchaseConfirmation(interaction, itemId) {
+    const item = mongoose.isValidObjectId(itemId) ? await MarketplaceItem.findById(itemId) : null;
+
+    if (!item) {
+      return interaction.reply({ content: '❌ This item no longer exists.', ephemeral: true });
+    }
+
+    const pricing = getEffectivePrice(item, await getActiveSales());
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Buy ${item.name}?`)
+      .setDescription(formatItemDetails(item, pricing))
+      .setColor('Yellow')
+      .setFooter({ text: `${item.category || DEFAULT_CATEGORY} · coins are only taken when you confirm` });
+
+    if (item.imageUrl) {
+      embed.setImage(item.imageUrl);
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        // The price is part of the ID so a price change since this was shown is caught
+        .setCustomId(`marketplace_confirm:${item._id}:${pricing.price}`)
+        .setLabel(`Buy for ${pricing.price} coins`)
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId('marketplace_cancel')
+        .setLabel('Cancel')
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+    return interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+  },
+
+  /**
+   * Confirm/Cancel buttons on a purchase confirmation
+   * @param {Object} interaction - Button interaction
+   */
+  async handleConfirmButton(interaction) {
+    if (interaction.customId === 'marketplace_cancel') {
+      return interaction.update({ content: 'Purchase cancelled.', embeds: [], components: [] });
+    }
+
+    const [, itemId, price] = interaction.customId.split(':');
+
+    // Replace the confirmation so it can't be clicked twice; the result is written into it
+    await interaction.update({ content: '⏳ Processing your purchase...', embeds: [], components: [] });
+    return this.processPurchase(interaction, itemId, parseInt(price, 10));
+  },
+
   /**
    * Admin command to add an item to the marketplace
    */
@@ -123,8 +335,10 @@ const marketplaceCommands = {
         maxLength: 50
       });
       
+      const type = interaction.options.getString('type') || 'role';
       const role = interaction.options.getRole('role');
-      if (!role) {
+      const needsRole = type === 'role' || type === 'timed_role';
+      if (needsRole && !role) {
         return interaction.editReply('Please provide a valid role.');
       }
       
@@ -133,26 +347,89 @@ const marketplaceCommands = {
         'Price'
       );
 
+      const durationDays = interaction.options.getInteger('duration_days');
+      if (type === 'timed_role') {
+        validatePositiveInteger(durationDays, 'Duration');
+      }
+
+      const effect = type === 'consumable' ? interaction.options.getString('effect') : null;
+      const effectValue = interaction.options.getInteger('effect_value');
+      if (type === 'consumable' && !effect) {
+        throw new ValidationError('Consumable items need an effect', 'effect');
+      }
+      const handler = effect ? itemHandlerRegistry.get(effect) : null;
+      if (effect && !handler) {
+        throw new ValidationError(`Unknown effect "${effect}"`, 'effect');
+      }
+      if (handler?.needsEffectValue) {
+        validatePositiveInteger(effectValue, 'Effect value');
+      }
+
+      const description = interaction.options.getString('description');
+      const categoryInput = interaction.options.getString('category');
+      const category = categoryInput
+        ? validateString(categoryInput, { fieldName: 'Category', minLength: 1, maxLength: 30 })
+        : DEFAULT_CATEGORY;
+      const imageInput = interaction.options.getString('image_url');
+      const imageUrl = imageInput ? validateUrl(imageInput, { fieldName: 'Image URL' }) : null;
+      const stock = interaction.options.getInteger('stock');
+      const perUserLimit = interaction.options.getInteger('per_user_limit');
+      if (perUserLimit !== null) {
+        validatePositiveInteger(perUserLimit, 'Per-user limit');
+      }
+
+      const demandStepPercent = interaction.options.getNumber('demand_step') ?? 0;
+      const demandHalfLifeHours = interaction.options.getNumber('demand_half_life_hours') ?? 24;
+
+      const fromInput = interaction.options.getString('available_from');
+      const untilInput = interaction.options.getString('available_until');
+      const availableFrom = fromInput ? validateDateTime(fromInput, 'Available from') : null;
+      const availableUntil = untilInput ? validateDateTime(untilInput, 'Available until') : null;
+      if (availableFrom && availableUntil && availableUntil <= availableFrom) {
+        throw new ValidationError('Available until must be after available from', 'available_until');
+      }
+
       // Clear marketplace cache on updates
-      const cacheKey = `marketplace:${interaction.guild.id}`;
-      defaultCache.del(cacheKey);
+      defaultCache.delStartWith(`marketplace:${interaction.guild.id}:`);
       
       // Create the item
       const newItem = await MarketplaceItem.create({ 
         name: itemName, 
-        roleId: role.id, 
-        price 
+        type,
+        description,
+        category,
+        imageUrl,
+        roleId: needsRole ? role.id : null, 
+        price,
+        durationDays: type === 'timed_role' ? durationDays : null,
+        effect,
+        effectValue: effect ? effectValue : null,
+        stock,
+        perUserLimit,
+        availableFrom,
+        availableUntil,
+        demandStepPercent,
+        demandHalfLifeHours
       });
       
       cmdLog.info('Added marketplace item', { 
         itemId: newItem._id,
         itemName,
-        roleId: role.id,
-        price
+        type,
+        roleId: newItem.roleId,
+        price,
+        stock,
+        perUserLimit
       });
       
-      return interaction.editReply(`✅ Item **${itemName}** added. Role: ${role.name}, Price: ${price}`);
+      return interaction.editReply(
+        `✅ Item **${itemName}** added.\n${formatItemDetails(newItem, getEffectivePrice(newItem, []))}`
+      );
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return handleValidationError(error, interaction);
+      }
+
       captureException(error, { 
         command: 'add-marketplace',
         guild: interaction.guild.id
@@ -182,8 +459,7 @@ const marketplaceCommands = {
       );
 
       // Clear cache on updates
-      const cacheKey = `marketplace:${interaction.guild.id}`;
-      defaultCache.del(cacheKey);
+      defaultCache.delStartWith(`marketplace:${interaction.guild.id}:`);
       
       const item = await MarketplaceItem.findOneAndDelete({ name: itemName });
       
@@ -241,10 +517,20 @@ const marketplaceCommands = {
       }
       
       const newRole = interaction.options.getRole('new_role');
+      const newStock = interaction.options.getInteger('new_stock');
+      const newDescription = interaction.options.getString('new_description');
+      const newCategory = interaction.options.getString('new_category');
+      if (newCategory) {
+        validateString(newCategory, { fieldName: 'New category', minLength: 1, maxLength: 30 });
+      }
+      const newDemandStep = interaction.options.getNumber('new_demand_step');
+      const newImageUrl = interaction.options.getString('new_image_url');
+      if (newImageUrl) {
+        validateUrl(newImageUrl, { fieldName: 'New image URL' });
+      }
 
       // Clear cache on updates
-      const cacheKey = `marketplace:${interaction.guild.id}`;
-      defaultCache.del(cacheKey);
+      defaultCache.delStartWith(`marketplace:${interaction.guild.id}:`);
       
       const item = await MarketplaceItem.findOne({ name: itemName });
       
@@ -270,6 +556,33 @@ const marketplaceCommands = {
         item.roleId = newRole.id;
       }
 
+      // A negative stock value removes the limit
+      if (newStock !== null) {
+        const stock = newStock < 0 ? null : newStock;
+        changes.stock = { from: item.stock, to: stock };
+        item.stock = stock;
+      }
+
+      if (newDescription) {
+        changes.description = { from: item.description, to: newDescription };
+        item.description = newDescription;
+      }
+
+      if (newCategory) {
+        changes.category = { from: item.category, to: newCategory };
+        item.category = newCategory;
+      }
+
+      if (newDemandStep !== null) {
+        changes.demandStepPercent = { from: item.demandStepPercent, to: newDemandStep };
+        item.demandStepPercent = newDemandStep;
+      }
+
+      if (newImageUrl) {
+        changes.imageUrl = { from: item.imageUrl, to: newImageUrl };
+        item.imageUrl = newImageUrl;
+      }
+
       await item.save();
       
       cmdLog.info('Updated marketplace item', { 
@@ -279,6 +592,10 @@ const marketplaceCommands = {
       
       return interaction.editReply(`✅ Item **${itemName}** updated successfully.`);
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return handleValidationError(error, interaction);
+      }
+
       captureException(error, { 
         command: 'edit-marketplace',
         guild: interaction.guild.id
@@ -289,18 +606,149 @@ const marketplaceCommands = {
     }
   },
   
+  /**
+   * Hand out what a paid-for item grants
+   * @param {Object} interaction - Button interaction
+   * @param {Object} item - MarketplaceItem document
+   * @param {Object} debit - Successful economy debit result
+   * @param {number} price - Price paid
+   * @returns {Promise<string>} Confirmation shown to the buyer
+   */
+  async fulfilPurchase(interaction, item, debit, price) {
+    const discordId = interaction.user.id;
+
+    switch (item.type) {
+      case 'streak_freeze':
+        // Granted in the same update as the debit
+        return `✅ You purchased **${item.name}**! You now hold **${debit.userDoc.streakFreezes}** streak freeze(s).`;
+
+      case 'consumable': {
+        const entry = await Inventory.findOneAndUpdate(
+          { discordId, itemId: item._id },
+          {
+            $inc: { quantity: 1 },
+            $set: {
+              itemName: item.name,
+              itemType: item.type,
+              effect: item.effect,
+              effectValue: item.effectValue
+            }
+          },
+          { new: true, upsert: true }
+        );
+        return `✅ You purchased **${item.name}**! You now have **${entry.quantity}** in your inventory.`;
+      }
+
+      case 'custom': {
+        const channel = await interaction.client.channels.fetch(config.marketplace.fulfilmentChannelId);
+        const staffPing = config.marketplace.staffRoleId ? `<@&${config.marketplace.staffRoleId}> ` : '';
+
+        await channel.send({
+          content: `🛎️ ${staffPing}<@${discordId}> purchased **${item.name}** for ${price} coins. Please fulfil this order.`,
+          allowedMentions: {
+            users: [discordId],
+            roles: config.marketplace.staffRoleId ? [config.marketplace.staffRoleId] : []
+          }
+        });
+        return `✅ You purchased **${item.name}**! A staff member will be in touch to deliver it.`;
+      }
+
+      case 'timed_role': {
+        const role = interaction.guild.roles.cache.get(item.roleId);
+        const member = await interaction.guild.members.fetch(discordId);
+        await member.roles.add(role);
+
+        // Buying again while the role is active extends it
+        const existing = await Inventory.findOne({ discordId, itemId: item._id });
+        const now = Date.now();
+        const start = existing?.expiresAt && existing.expiresAt.getTime() > now
+          ? existing.expiresAt.getTime()
+          : now;
+        const expiresAt = new Date(start + item.durationDays * DAY_MS);
+
+        await Inventory.updateOne(
+          { discordId, itemId: item._id },
+          {
+            $set: {
+              itemName: item.name,
+              itemType: item.type,
+              roleId: role.id,
+              expiresAt
+            }
+          },
+          { upsert: true }
+        );
+
+        return `✅ You purchased **${item.name}** and received the **${role.name}** role until <t:${Math.floor(expiresAt.getTime() / 1000)}:f>!`;
+      }
+
+      default: {
+        const role = interaction.guild.roles.cache.get(item.roleId);
+        const member = await interaction.guild.members.fetch(discordId);
+        await member.roles.add(role);
+        return `✅ You purchased **${item.name}** and received the **${role.name}** role!`;
+      }
+    }
+  },
+
+  /**
+   * Why an item can't be bought right now, before any coins are taken
+   * @param {Object} interaction - Button interaction
+   * @param {Object} item - MarketplaceItem document
+   * @returns {Promise<string|null>} Message for the buyer, or null if the purchase may go ahead
+   */
+  async getPurchaseBlocker(interaction, item) {
+    const now = new Date();
+
+    if (item.availableFrom && item.availableFrom > now) {
+      return `❌ **${item.name}** goes on sale <t:${Math.floor(item.availableFrom.getTime() / 1000)}:R>.`;
+    }
+    if (!item.isAvailable(now)) {
+      return `❌ **${item.name}** is no longer on sale.`;
+    }
+    if (item.stock === 0) {
+      return `❌ **${item.name}** is sold out.`;
+    }
+
+    if ((item.type === 'role' || item.type === 'timed_role') && !interaction.guild.roles.cache.has(item.roleId)) {
+      return `❌ The role for **${item.name}** no longer exists.`;
+    }
+    if (item.type === 'custom' && !config.marketplace.fulfilmentChannelId) {
+      return `❌ **${item.name}** can't be delivered right now. Please contact staff.`;
+    }
+
+    if (item.perUserLimit) {
+      const bought = await Order.countActive(interaction.user.id, item._id);
+      if (bought >= item.perUserLimit) {
+        return `❌ You can buy **${item.name}** at most ${item.perUserLimit} time(s).`;
+      }
+    }
+
+    return null;
+  },
+  
   /**
    * Process a marketplace purchase
    * @param {Object} interaction - Button interaction
    * @param {string} itemId - ID of the item to purchase
+   * @param {number} [expectedPrice] - Price the buyer confirmed
    */
-  async processPurchase(interaction, itemId) {
+  async processPurchase(interaction, itemId, expectedPrice) {
     const cmdLog = logger.withContext({ 
       area: 'marketplace-purchase',
       userId: interaction.user.id
     });
     
-    await interaction.deferReply({ ephemeral: true });
+    // Confirmation buttons have already acknowledged the interaction
+    if (!interaction.deferred && !interaction.replied) {
+      await interaction.deferReply({ ephemeral: true });
+    }
+
+    const lockKey = `${interaction.user.id}:${itemId}`;
+    if (pendingPurchases.has(lockKey)) {
+      return interaction.editReply('⏳ Your previous purchase of this item is still being processed.');
+    }
+    pendingPurchases.add(lockKey);
     
     try {
       const item = await MarketplaceItem.findById(itemId);
@@ -309,58 +757,164 @@ const marketplaceCommands = {
         return interaction.editReply('❌ This item no longer exists.');
       }
 
-      // Find or create user
-      let userDoc = await User.findOneAndUpdate(
-        { discordId: interaction.user.id },
-        { $setOnInsert: { username: interaction.user.username } },
-        { new: true, upsert: true }
-      );
+      // Sales and demand move the price; charge what it costs right now
+      const pricing = getEffectivePrice(item, await getActiveSales());
+      const price = pricing.price;
 
-      // Check if user has enough coins
-      if (userDoc.coins < item.price) {
-        const diff = item.price - userDoc.coins;
+      if (expectedPrice !== undefined && price !== expectedPrice) {
         return interaction.editReply(
-          `❌ You need **${diff}** more coins to buy **${item.name}**.`
+          `❌ The price of **${item.name}** changed to **${price}** coins. Please pick it again from the marketplace.`
         );
       }
 
-      // Deduct coins - use findOneAndUpdate to make this atomic
-      userDoc = await User.findOneAndUpdate(
-        { discordId: interaction.user.id },
-        { $inc: { coins: -item.price } },
-        { new: true }
-      );
+      const blocker = await this.getPurchaseBlocker(interaction, item);
+      if (blocker) {
+        return interaction.editReply(blocker);
+      }
 
-      // Fetch role and add to user
-      const role = interaction.guild.roles.cache.get(item.roleId);
-      
-      if (!role) {
-        // Refund coins if role doesn't exist
-        await User.updateOne(
-          { discordId: interaction.user.id },
-          { $inc: { coins: item.price } }
+      // Claim a unit of stock before charging so two buyers can't get the last one
+      if (!(await MarketplaceItem.reserveStock(item._id))) {
+        return interaction.editReply(`❌ **${item.name}** is sold out.`);
+      }
+
+      const isStreakFreeze = item.type === 'streak_freeze';
+      const maxFreezes = config.gm.maxStreakFreezes;
+
+      // Deduct coins through the economy; refused atomically if the balance is too low.
+      // A streak freeze is granted in the same update, capped at maxStreakFreezes.
+      const debit = await economy.debit(interaction.user.id, price, {
+        source: 'purchase',
+        reason: pricing.sale ? `Purchased ${item.name} (${pricing.sale.name})` : `Purchased ${item.name}`,
+        actorId: interaction.user.id,
+        referenceId: item._id,
+        ...(isStreakFreeze && {
+          stats: { streakFreezes: 1 },
+          filter: { streakFreezes: { $not: { $gte: maxFreezes } } }
+        })
+      });
+
+      if (!debit.success) {
+        await MarketplaceItem.releaseStock(item._id);
+
+        if (debit.code === RESULT_CODES.INSUFFICIENT_FUNDS) {
+          return interaction.editReply(
+            `❌ You need **${debit.shortfall}** more coins to buy **${item.name}**.`
+          );
+        }
+
+        if (isStreakFreeze && debit.code === RESULT_CODES.CONDITION_FAILED) {
+          return interaction.editReply(`❌ You can hold at most **${maxFreezes}** streak freezes.`);
+        }
+
+        return interaction.editReply('❌ Your purchase could not be completed.');
+      }
+
+      let order;
+      try {
+        order = await Order.create({
+          discordId: interaction.user.id,
+          itemId: item._id,
+          itemName: item.name,
+          itemType: item.type,
+          roleId: item.roleId || null,
+          durationDays: item.durationDays,
+          price,
+          chargeTransactionId: debit.transaction?._id || null
+        });
+      } catch (err) {
+        // Without an order nothing can be delivered or refunded later: undo the charge now
+        await economy.credit(interaction.user.id, price, {
+          source: 'purchase_refund',
+          reason: `Could not record the order for ${item.name}`,
+          referenceId: item._id
+        });
+        await MarketplaceItem.releaseStock(item._id);
+        if (isStreakFreeze) {
+          await User.updateOne(
+            { discordId: interaction.user.id, streakFreezes: { $gte: 1 } },
+            { $inc: { streakFreezes: -1 } }
+          );
+        }
+        throw err;
+      }
+
+      let confirmation;
+      try {
+        confirmation = await this.fulfilPurchase(interaction, item, debit, price);
+      } catch (err) {
+        // Take the order first; if staff already refunded it, the coins and stock are back
+        const failed = await Order.transition(order._id, 'pending', 'failed', {
+          failureReason: err.message,
+          refundedAt: new Date()
+        });
+
+        if (!failed) {
+          cmdLog.warn('Marketplace delivery failed after the order was refunded', {
+            orderId: order._id,
+            error: err.message
+          });
+          return interaction.editReply(
+            `❌ **${item.name}** could not be delivered. The order was already refunded by staff.`
+          );
+        }
+
+        // Roll back: return the coins and the stock
+        const refund = await economy.credit(interaction.user.id, price, {
+          source: 'purchase_refund',
+          reason: `Could not deliver ${item.name}`,
+          referenceId: order._id
+        });
+        await MarketplaceItem.releaseStock(item._id);
+        await Order.updateOne({ _id: order._id }, { $set: { refundTransactionId: refund.transaction?._id || null } });
+
+        cmdLog.error('Failed to fulfil marketplace purchase, refunded', {
+          orderId: order._id,
+          itemId: item._id,
+          type: item.type,
+          error: err.message
+        });
+
+        return interaction.editReply(
+          `❌ **${item.name}** could not be delivered. Your coins have been refunded.`
         );
-        
+      }
+
+      const fulfilled = await Order.transition(order._id, 'pending', 'fulfilled', { fulfilledAt: new Date() });
+
+      if (!fulfilled) {
+        // Refunded by staff while it was being delivered: take the item back
+        const note = await this.reverseFulfilment(interaction.guild, order);
+        cmdLog.warn('Marketplace order was refunded during delivery, item reclaimed', {
+          orderId: order._id,
+          note
+        });
         return interaction.editReply(
-          `❌ The role for **${item.name}** no longer exists. Your coins have been refunded.`
+          `❌ Your order for **${item.name}** was refunded by staff while it was being delivered. Your coins have been returned.`
         );
       }
 
-      // Add role to member
-      const member = await interaction.guild.members.fetch(interaction.user.id);
-      await member.roles.add(role);
+      // Only delivered sales raise the demand price
+      await recordDemand(item);
+
+      // Listing shows remaining stock and demand-adjusted prices
+      if ((item.stock !== null && item.stock !== undefined) || item.demandStepPercent) {
+        defaultCache.delStartWith(`marketplace:${interaction.guild.id}:`);
+      }
 
       cmdLog.info('User purchased marketplace item', { 
+        orderId: order._id,
         itemId: item._id,
         itemName: item.name,
-        roleId: role.id,
-        price: item.price
+        type: item.type,
+        price,
+        basePrice: item.price
       });
       
       // Confirm purchase to user
-      await interaction.editReply(
-        `✅ You purchased **${item.name}** and received the **${role.name}** role!`
-      );
+      await interaction.editReply(`${confirmation}\nOrder ID: \`${order._id}\``);
+      await this.sendReceipt(interaction.user, order, debit.balance);
+
+      if (isStreakFreeze) return;
 
       // Announce purchase if configured
       const announceChannelId = config.marketplace.announceChannelId;
@@ -392,6 +946,221 @@ const marketplaceCommands = {
       });
       
       return interaction.editReply('❌ An error occurred while processing your purchase.');
+    } finally {
+      pendingPurchases.delete(lockKey);
+    }
+  },
+
+  /**
+   * DM the buyer a receipt. Members with closed DMs just don't get one.
+   * @param {Object} user - Discord user
+   * @param {Object} order - Order document
+   * @param {number} balance - Balance after the purchase
+   */
+  async sendReceipt(user, order, balance) {
+    const embed = new EmbedBuilder()
+      .setTitle('🧾 Purchase Receipt')
+      .setColor('Green')
+      .addFields(
+        { name: 'Item', value: order.itemName, inline: true },
+        { name: 'Price', value: `${order.price} coins`, inline: true },
+        { name: 'Balance', value: `${balance} coins`, inline: true },
+        { name: 'Order ID', value: `\`${order._id}\`` }
+      )
+      .setTimestamp(order.createdAt);
+
+    try {
+      await user.send({ embeds: [embed] });
+    } catch (err) {
+      logger.debug('Could not DM purchase receipt', { userId: user.id, error: err.message });
+    }
+  },
+
+  /**
+   * Take back what an order delivered, as far as possible
+   * @param {Object} guild - Discord guild
+   * @param {Object} order - Order document
+   * @returns {Promise<string|null>} Note on anything that could not be reclaimed
+   */
+  async reverseFulfilment(guild, order) {
+    switch (order.itemType) {
+      case 'role': {
+        const member = await guild.members.fetch(order.discordId).catch(() => null);
+        if (member?.roles.cache.has(order.roleId)) {
+          await member.roles.remove(order.roleId, `Order ${order._id} refunded`);
+        }
+        return null;
+      }
+
+      case 'timed_role': {
+        // Take the refunded days off; remove the role if nothing is left
+        const entry = await Inventory.findOne({ discordId: order.discordId, itemId: order.itemId });
+        if (!entry) return null;
+
+        const expiresAt = new Date(entry.expiresAt.getTime() - order.durationDays * DAY_MS);
+        if (expiresAt > new Date()) {
+          await Inventory.updateOne({ _id: entry._id }, { $set: { expiresAt } });
+          return null;
+        }
+
+        const member = await guild.members.fetch(order.discordId).catch(() => null);
+        if (member?.roles.cache.has(order.roleId)) {
+          await member.roles.remove(order.roleId, `Order ${order._id} refunded`);
+        }
+        await Inventory.deleteOne({ _id: entry._id });
+        return null;
+      }
+
+      case 'consumable': {
+        const entry = await Inventory.findOne({ discordId: order.discordId, itemId: order.itemId });
+        const taken = entry ? await Inventory.takeOne(entry._id) : null;
+        return taken ? null : 'The item was already used and could not be reclaimed.';
+      }
+
+      case 'streak_freeze': {
+        const result = await User.updateOne(
+          { discordId: order.discordId, streakFreezes: { $gte: 1 } },
+          { $inc: { streakFreezes: -1 } }
+        );
+        return result.modifiedCount ? null : 'The streak freeze was already used and could not be reclaimed.';
+      }
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Admin command to refund a fulfilled order
+   */
+  async refund(interaction) {
+    const cmdLog = logger.withContext({ 
+      command: 'refund',
+      userId: interaction.user.id
+    });
+    
+    if (!(await checkAdmin(interaction))) return;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const orderId = interaction.options.getString('order_id').trim();
+      const reason = interaction.options.getString('reason') || 'Refunded by staff';
+
+      if (!mongoose.isValidObjectId(orderId)) {
+        return interaction.editReply('❌ That is not a valid order ID.');
+      }
+
+      // Claim the order first so it can only be refunded once. Pending orders
+      // can be refunded once their delivery has clearly been interrupted.
+      const order = await Order.claimForRefund(orderId, {
+        refundedAt: new Date(),
+        refundedBy: interaction.user.id,
+        refundReason: reason
+      });
+
+      if (!order) {
+        const existing = await Order.findById(orderId);
+        if (existing?.status === 'pending') {
+          return interaction.editReply(
+            `❌ Order \`${orderId}\` is still being delivered. Try again in a few minutes if it stays pending.`
+          );
+        }
+        return interaction.editReply(
+          existing
+            ? `❌ Order \`${orderId}\` is **${existing.status}** and can't be refunded.`
+            : `❌ No order found with ID \`${orderId}\`.`
+        );
+      }
+
+      // Loaded as a standalone command handler, so no `this` here
+      const note = await marketplaceCommands.reverseFulfilment(interaction.guild, order);
+
+      const credit = await economy.credit(order.discordId, order.price, {
+        source: 'purchase_refund',
+        reason: `Refund: ${order.itemName} (${reason})`,
+        actorId: interaction.user.id,
+        referenceId: order._id
+      });
+      await MarketplaceItem.releaseStock(order.itemId);
+      await Order.updateOne({ _id: order._id }, { $set: { refundTransactionId: credit.transaction?._id || null } });
+
+      defaultCache.delStartWith(`marketplace:${interaction.guild.id}:`);
+
+      cmdLog.info('Refunded marketplace order', { 
+        orderId: order._id,
+        buyer: order.discordId,
+        price: order.price,
+        note
+      });
+
+      try {
+        const buyer = await interaction.client.users.fetch(order.discordId);
+        await buyer.send(
+          `💸 Your purchase of **${order.itemName}** (order \`${order._id}\`) was refunded: **${order.price}** coins. Reason: ${reason}`
+        );
+      } catch (err) {
+        cmdLog.debug('Could not DM refund notice', { error: err.message });
+      }
+
+      return interaction.editReply(
+        `✅ Refunded **${order.price}** coins to <@${order.discordId}> for **${order.itemName}**.${note ? `\n⚠️ ${note}` : ''}`
+      );
+    } catch (error) {
+      captureException(error, { 
+        command: 'refund',
+        guild: interaction.guild.id
+      });
+      
+      cmdLog.error('Error refunding order', { error: error.message });
+      return interaction.editReply('An error occurred while refunding the order.');
+    }
+  },
+
+  /**
+   * Recent orders for yourself, or for any member if you're an admin
+   */
+  async orders(interaction) {
+    const cmdLog = logger.withContext({ 
+      command: 'orders',
+      userId: interaction.user.id
+    });
+    
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const requested = interaction.options.getUser('user');
+      const isAdmin = interaction.member.permissions.has(PermissionsBitField.Flags.Administrator);
+      const target = requested && isAdmin ? requested : interaction.user;
+
+      const orders = await Order.find({ discordId: target.id })
+        .sort({ createdAt: -1 })
+        .limit(ORDER_HISTORY_LIMIT)
+        .lean();
+
+      if (!orders.length) {
+        return interaction.editReply(`<@${target.id}> has no orders yet.`);
+      }
+
+      const lines = orders.map(order => {
+        const timestamp = Math.floor(new Date(order.createdAt).getTime() / 1000);
+        return `<t:${timestamp}:d> **${order.itemName}** · ${order.price} coins · ${ORDER_STATUS_LABELS[order.status]} · \`${order._id}\``;
+      });
+
+      const embed = new EmbedBuilder()
+        .setTitle('🧾 Order History')
+        .setColor('Blue')
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `Last ${orders.length} order(s) for ${target.username}` });
+
+      return interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      captureException(error, { 
+        command: 'orders',
+        guild: interaction.guild.id
+      });
+      
+      cmdLog.error('Error listing orders', { error: error.message });
+      return interaction.editReply('An error occurred while loading orders.');
     }
   }
 };
@@ -0,0 +1,187 @@
+// src/commands/marketplaceSale.js
+const { EmbedBuilder } = require('discord.js');
+const MarketplaceItem = require('../models/MarketplaceItem');
+const MarketplaceSale = require('../models/MarketplaceSale');
+const checkAdmin = require('../utils/checkAdmin');
+const logger = require('../utils/logger');
+const { validateString, validateDateTime, ValidationError } = require('../utils/validator');
+const { defaultCache } = require('../utils/cacheManager');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+const { invalidateSales } = require('../utils/marketplacePricing');
+
+/**
+ * Marketplace Sale Command - schedule percent-off sales (Admin only)
+ */
+const marketplaceSaleCommand = {
+  name: 'marketplace-sale',
+  description: 'Schedule and end marketplace sales (Admin only)',
+
+  /**
+   * Describe what a sale covers
+   * @param {Object} sale - MarketplaceSale document
+   * @param {Map} itemNames - Item ID to name
+   * @returns {string} Scope label
+   */
+  describeScope(sale, itemNames) {
+    if (sale.itemId) return `item **${itemNames.get(String(sale.itemId)) || 'removed item'}**`;
+    if (sale.category) return `category **${sale.category}**`;
+    return 'everything';
+  },
+
+  /**
+   * Upcoming and running sales
+   * @returns {Promise<EmbedBuilder>} Discord embed
+   */
+  async buildSalesEmbed() {
+    const now = new Date();
+    const sales = await MarketplaceSale.find({ endsAt: { $gt: now } }).sort({ startsAt: 1 }).lean();
+    const items = await MarketplaceItem.find({ _id: { $in: sales.map(sale => sale.itemId).filter(Boolean) } }, 'name').lean();
+    const itemNames = new Map(items.map(item => [String(item._id), item.name]));
+
+    const lines = sales.map(sale => {
+      const start = Math.floor(sale.startsAt.getTime() / 1000);
+      const end = Math.floor(sale.endsAt.getTime() / 1000);
+      const status = sale.startsAt <= now ? '**active**' : 'scheduled';
+      return `**${sale.name}** -${sale.percentOff}% on ${this.describeScope(sale, itemNames)} · <t:${start}:f> → <t:${end}:f> (${status})`;
+    });
+
+    return new EmbedBuilder()
+      .setTitle('🏷️ Marketplace Sales')
+      .setColor('Orange')
+      .setDescription(lines.join('\n') || 'No sales scheduled.');
+  },
+
+  /**
+   * Schedule a sale
+   */
+  async startSale(interaction) {
+    const name = validateString(interaction.options.getString('name'), {
+      fieldName: 'Sale name',
+      minLength: 1,
+      maxLength: 50
+    });
+    const percentOff = interaction.options.getInteger('percent');
+    const startsInput = interaction.options.getString('starts_at');
+    const startsAt = startsInput ? validateDateTime(startsInput, 'Start time') : new Date();
+    const endsAt = validateDateTime(interaction.options.getString('ends_at'), 'End time');
+    const category = interaction.options.getString('category');
+    const itemName = interaction.options.getString('item');
+
+    if (endsAt <= startsAt) {
+      throw new ValidationError('End time must be after the start time', 'ends_at');
+    }
+    if (endsAt <= new Date()) {
+      throw new ValidationError('End time must be in the future', 'ends_at');
+    }
+    if (category && itemName) {
+      throw new ValidationError('Choose either a category or an item, not both', 'item');
+    }
+
+    let item = null;
+    if (itemName) {
+      item = await MarketplaceItem.findOne({ name: itemName });
+      if (!item) {
+        throw new ValidationError(`No item named "${itemName}"`, 'item');
+      }
+    }
+
+    if (await MarketplaceSale.exists({ name })) {
+      throw new ValidationError(`A sale named "${name}" already exists`, 'name');
+    }
+
+    await MarketplaceSale.create({
+      name,
+      percentOff,
+      startsAt,
+      endsAt,
+      category: category || null,
+      itemId: item?._id || null,
+      createdBy: interaction.user.id
+    });
+
+    const scope = item ? `**${item.name}**` : category ? `category **${category}**` : 'everything';
+    return `Scheduled **${name}**: -${percentOff}% on ${scope} from <t:${Math.floor(startsAt / 1000)}:f> to <t:${Math.floor(endsAt / 1000)}:f>.`;
+  },
+
+  /**
+   * End a sale now (or cancel it before it starts)
+   */
+  async endSale(interaction) {
+    const name = interaction.options.getString('name');
+    const sale = await MarketplaceSale.findOne({ name });
+
+    if (!sale) {
+      throw new ValidationError(`No sale named "${name}"`, 'name');
+    }
+
+    // Sales that already ran are kept for the record; unstarted ones are just removed
+    const now = new Date();
+    if (sale.startsAt > now) {
+      await sale.deleteOne();
+      return `Cancelled **${name}**.`;
+    }
+
+    sale.endsAt = now;
+    await sale.save();
+    return `Ended **${name}**.`;
+  },
+
+  /**
+   * Execute the marketplace-sale command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'marketplace-sale',
+      userId: interaction.user.id
+    });
+
+    if (!(await checkAdmin(interaction))) return;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'list') {
+        return interaction.editReply({ embeds: [await this.buildSalesEmbed()] });
+      }
+
+      let message;
+      switch (subcommand) {
+        case 'start':
+          message = await this.startSale(interaction);
+          break;
+        case 'end':
+          message = await this.endSale(interaction);
+          break;
+        default:
+          return interaction.editReply('Unknown subcommand.');
+      }
+
+      // Prices in the listing change with the sale
+      invalidateSales();
+      defaultCache.delStartWith(`marketplace:${interaction.guild.id}:`);
+
+      cmdLog.info('Updated marketplace sales', { subcommand });
+
+      return interaction.editReply({
+        content: `✅ ${message}`,
+        embeds: [await this.buildSalesEmbed()]
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return interaction.editReply(`📋 ${error.message}`);
+      }
+
+      captureException(error, { command: 'marketplace-sale', user: interaction.user.id });
+      cmdLog.error('Error in marketplace-sale command', { error: error.message });
+      return interaction.editReply('An error occurred while updating marketplace sales.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(marketplaceSaleCommand.name, marketplaceSaleCommand);
+
+module.exports = marketplaceSaleCommand;
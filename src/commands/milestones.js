@@ -0,0 +1,146 @@
+// src/commands/milestones.js
+const { EmbedBuilder } = require('discord.js');
+const Milestone = require('../models/Milestone');
+const MilestoneClaim = require('../models/MilestoneClaim');
+const checkAdmin = require('../utils/checkAdmin');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/validator');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+const { invalidateMilestones, describeMilestone } = require('../utils/milestoneCheck');
+
+const METRIC_LABELS = {
+  messages: '💬 Messages',
+  reactions: '😀 Reactions',
+  voice: '🎙️ Voice'
+};
+
+/**
+ * Milestones Command - coin rewards for lifetime activity thresholds (Admin only)
+ */
+const milestonesCommand = {
+  name: 'milestones',
+  description: 'Define activity milestones and their rewards (Admin only)',
+
+  /**
+   * All milestones grouped by metric, with how many users claimed each
+   * @returns {Promise<EmbedBuilder>} Discord embed
+   */
+  async buildMilestonesEmbed() {
+    const [milestones, claimCounts] = await Promise.all([
+      Milestone.find({}, null, { lean: true, sort: { metric: 1, threshold: 1 } }),
+      MilestoneClaim.aggregate([
+        { $group: { _id: { metric: '$metric', threshold: '$threshold' }, count: { $sum: 1 } } }
+      ])
+    ]);
+    const claimsByKey = new Map(claimCounts.map(entry => [Milestone.keyOf(entry._id), entry.count]));
+
+    const embed = new EmbedBuilder()
+      .setTitle('🏅 Milestones')
+      .setColor('Gold')
+      .setFooter({ text: 'Members already past a new milestone receive it with their next activity' });
+
+    for (const [metric, label] of Object.entries(METRIC_LABELS)) {
+      const lines = milestones
+        .filter(milestone => milestone.metric === metric)
+        .map(milestone => {
+          const claims = claimsByKey.get(Milestone.keyOf(milestone)) || 0;
+          return `**${describeMilestone(milestone)}** · ${milestone.reward} coins · claimed by ${claims}`;
+        });
+      if (lines.length) embed.addFields({ name: label, value: lines.join('\n') });
+    }
+
+    if (!milestones.length) embed.setDescription('No milestones defined.');
+    return embed;
+  },
+
+  /**
+   * Create a milestone, or change the reward of an existing one
+   * @returns {Promise<string>} Confirmation message
+   */
+  async setMilestone(interaction) {
+    const metric = interaction.options.getString('metric');
+    const threshold = interaction.options.getInteger('threshold');
+    const reward = interaction.options.getInteger('reward');
+
+    await Milestone.findOneAndUpdate(
+      { metric, threshold },
+      { $set: { reward, updatedBy: interaction.user.id } },
+      { upsert: true, runValidators: true }
+    );
+
+    return `Reaching **${describeMilestone({ metric, threshold })}** now pays **${reward}** coins.`;
+  },
+
+  /**
+   * Remove a milestone; users who claimed it keep their coins
+   * @returns {Promise<string>} Confirmation message
+   */
+  async removeMilestone(interaction) {
+    const metric = interaction.options.getString('metric');
+    const threshold = interaction.options.getInteger('threshold');
+    const result = await Milestone.deleteOne({ metric, threshold });
+
+    if (!result.deletedCount) {
+      throw new ValidationError(`There is no ${describeMilestone({ metric, threshold })} milestone`, 'threshold');
+    }
+
+    return `Removed the **${describeMilestone({ metric, threshold })}** milestone.`;
+  },
+
+  /**
+   * Execute the milestones command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'milestones',
+      userId: interaction.user.id
+    });
+
+    if (!(await checkAdmin(interaction))) return;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'list') {
+        return interaction.editReply({ embeds: [await this.buildMilestonesEmbed()] });
+      }
+
+      let message;
+      switch (subcommand) {
+        case 'set':
+          message = await this.setMilestone(interaction);
+          break;
+        case 'remove':
+          message = await this.removeMilestone(interaction);
+          break;
+        default:
+          return interaction.editReply('Unknown subcommand.');
+      }
+
+      invalidateMilestones();
+
+      cmdLog.info('Updated milestones', { subcommand });
+
+      return interaction.editReply({
+        content: `✅ ${message}`,
+        embeds: [await this.buildMilestonesEmbed()]
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return interaction.editReply(`📋 ${error.message}`);
+      }
+
+      captureException(error, { command: 'milestones', user: interaction.user.id });
+      cmdLog.error('Error in milestones command', { error: error.message });
+      return interaction.editReply('An error occurred while updating milestones.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(milestonesCommand.name, milestonesCommand);
+
+module.exports = milestonesCommand;
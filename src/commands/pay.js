@@ -0,0 +1,209 @@
+// src/commands/pay.js
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType
+} = require('discord.js');
+const CoinTransaction = require('../models/CoinTransaction');
+const economy = require('../utils/economy');
+const { RESULT_CODES } = require('../utils/economy');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { hasTeamRole } = require('../utils/roleCheck');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Senders with a transfer in progress; the daily limit check and the
+// transfer must not interleave for the same sender
+const pendingTransfers = new Set();
+
+/**
+ * Pay Command - peer-to-peer coin transfers
+ */
+const payCommand = {
+  name: 'pay',
+  description: 'Send coins to another member',
+
+  /**
+   * Check whether a transfer is allowed before asking for confirmation
+   * @param {Object} interaction - Discord interaction
+   * @param {Object} targetUser - Recipient
+   * @param {number} amount - Coins to send
+   * @returns {Promise<string|null>} Reason the transfer is refused, or null if allowed
+   */
+  async getRejectionReason(interaction, targetUser, amount) {
+    const { minAccountAgeDays } = config.economy.transfers;
+
+    if (targetUser.id === interaction.user.id) {
+      return 'You cannot send coins to yourself.';
+    }
+
+    if (targetUser.bot) {
+      return 'You cannot send coins to a bot.';
+    }
+
+    const targetMember = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+    if (!targetMember) {
+      return 'That user is not a member of this server.';
+    }
+
+    if (hasTeamRole(targetMember)) {
+      return 'You cannot send coins to Team members.';
+    }
+
+    const accountAgeDays = (Date.now() - interaction.user.createdTimestamp) / DAY_MS;
+    if (accountAgeDays < minAccountAgeDays) {
+      return `Your Discord account must be at least **${minAccountAgeDays}** day(s) old to send coins.`;
+    }
+
+    return this.getDailyLimitReason(interaction.user.id, amount);
+  },
+
+  /**
+   * Check the rolling 24-hour sending limit
+   * @param {string} discordId - Sender
+   * @param {number} amount - Coins to send
+   * @returns {Promise<string|null>} Reason the transfer is refused, or null if allowed
+   */
+  async getDailyLimitReason(discordId, amount) {
+    const { dailyLimit } = config.economy.transfers;
+
+    const sentToday = await CoinTransaction.sumSentSince(discordId, new Date(Date.now() - DAY_MS));
+    if (sentToday + amount > dailyLimit) {
+      const remaining = Math.max(0, dailyLimit - sentToday);
+      return `You can only send **${dailyLimit}** coins per 24 hours. You have **${remaining}** left.`;
+    }
+
+    return null;
+  },
+
+  /**
+   * Execute the pay command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'pay',
+      userId: interaction.user.id
+    });
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const targetUser = interaction.options.getUser('user');
+      const amount = interaction.options.getInteger('amount');
+      const note = interaction.options.getString('note')?.trim() || '';
+
+      if (!targetUser) {
+        return interaction.editReply('User not specified.');
+      }
+      if (!amount || amount <= 0) {
+        return interaction.editReply('Amount must be a positive integer.');
+      }
+
+      const rejection = await this.getRejectionReason(interaction, targetUser, amount);
+      if (rejection) {
+        return interaction.editReply(`❌ ${rejection}`);
+      }
+
+      const { taxPercent } = config.economy.transfers;
+      const tax = Math.floor(amount * taxPercent / 100);
+      const taxLine = tax > 0 ? `\n**${tax}** coin(s) will be burned as a ${taxPercent}% tax, so they receive **${amount - tax}**.` : '';
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId('confirm_yes')
+          .setLabel('Send')
+          .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+          .setCustomId('confirm_no')
+          .setLabel('Cancel')
+          .setStyle(ButtonStyle.Danger)
+      );
+
+      const confirmationMessage = await interaction.editReply({
+        content: `Send **${amount}** coins to <@${targetUser.id}>?${taxLine}`,
+        components: [row]
+      });
+
+      let buttonInteraction;
+      try {
+        const filter = (i) => i.user.id === interaction.user.id;
+        buttonInteraction = await confirmationMessage.awaitMessageComponent({
+          filter,
+          componentType: ComponentType.Button,
+          time: 15000
+        });
+      } catch {
+        return interaction.editReply({ content: 'No response received. Transfer cancelled.', components: [] });
+      }
+
+      if (buttonInteraction.customId === 'confirm_no') {
+        return buttonInteraction.update({ content: 'Transfer cancelled.', components: [] });
+      }
+
+      // Acknowledge "Send" click
+      await buttonInteraction.update({ components: [] });
+
+      // Several confirmations can be open at once; only one may pass the limit check at a time
+      if (pendingTransfers.has(interaction.user.id)) {
+        return interaction.editReply({ content: '⏳ Your previous transfer is still being processed.', components: [] });
+      }
+      pendingTransfers.add(interaction.user.id);
+
+      let result;
+      try {
+        const limitReason = await this.getDailyLimitReason(interaction.user.id, amount);
+        if (limitReason) {
+          return interaction.editReply({ content: `❌ ${limitReason}`, components: [] });
+        }
+
+        result = await economy.transfer(interaction.user.id, targetUser.id, amount, {
+          taxPercent,
+          note,
+          toUsername: targetUser.username
+        });
+      } finally {
+        pendingTransfers.delete(interaction.user.id);
+      }
+
+      if (!result.success) {
+        const message = result.code === RESULT_CODES.INSUFFICIENT_FUNDS
+          ? `❌ You need **${result.shortfall}** more coins to send that.`
+          : '❌ The transfer could not be completed.';
+        return interaction.editReply({ content: message, components: [] });
+      }
+
+      cmdLog.info('User sent coins', {
+        to: targetUser.id,
+        amount,
+        tax: result.tax,
+        transferId: result.transferId
+      });
+
+      await interaction.editReply({
+        content: `✅ Sent **${result.received}** coins to <@${targetUser.id}>. Your balance: **${result.balance}**.`,
+        components: []
+      });
+
+      // Let the recipient know publicly
+      const noteLine = note ? `\n> ${note}` : '';
+      return interaction.followUp({
+        content: `💸 <@${interaction.user.id}> sent **${result.received}** coins to <@${targetUser.id}>!${noteLine}`,
+        allowedMentions: { users: [interaction.user.id, targetUser.id] }
+      });
+    } catch (error) {
+      captureException(error, { command: 'pay', user: interaction.user.id });
+      cmdLog.error('Error in pay command', { error: error.message });
+      return interaction.editReply({ content: 'An error occurred while sending coins.', components: [] });
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(payCommand.name, payCommand);
+
+module.exports = payCommand;
@@ -0,0 +1,386 @@
+// src/commands/raffle.js
+const {
+  EmbedBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ActionRowBuilder,
+  AttachmentBuilder
+} = require('discord.js');
+const mongoose = require('mongoose');
+const Raffle = require('../models/Raffle');
+const RaffleTicket = require('../models/RaffleTicket');
+const economy = require('../utils/economy');
+const { RESULT_CODES } = require('../utils/economy');
+const checkAdmin = require('../utils/checkAdmin');
+const logger = require('../utils/logger');
+const {
+  validateString,
+  validatePositiveInteger,
+  validateDateTime,
+  ValidationError
+} = require('../utils/validator');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+const { createSeed, hashSeed } = require('../utils/raffleDraw');
+
+// Ticket purchases in flight, keyed "<userId>:<raffleId>", so double clicks
+// can't slip past the per-user ticket limit
+const pendingTickets = new Set();
+
+/**
+ * Raffle Command - coin-paid raffles with a verifiable draw
+ */
+const raffleCommand = {
+  name: 'raffle',
+  description: 'Create and manage raffles (Admin only)',
+
+  /**
+   * Public raffle embed
+   * @param {Object} raffle - Raffle document
+   * @returns {EmbedBuilder} Discord embed
+   */
+  buildRaffleEmbed(raffle) {
+    const drawAt = Math.floor(raffle.drawAt.getTime() / 1000);
+    const embed = new EmbedBuilder()
+      .setTitle(`🎟️ Raffle: ${raffle.prize}`)
+      .setColor(raffle.status === 'open' ? 'Purple' : 'Grey')
+      .addFields(
+        { name: 'Ticket price', value: `${raffle.ticketPrice} coins`, inline: true },
+        { name: 'Max per member', value: `${raffle.maxTicketsPerUser}`, inline: true },
+        { name: 'Winners', value: `${raffle.winnerCount}`, inline: true },
+        { name: 'Tickets sold', value: `${raffle.ticketsSold}`, inline: true },
+        {
+          name: raffle.status === 'open' ? 'Draw' : 'Drawn',
+          value: raffle.status === 'open' ? `<t:${drawAt}:R>` : `<t:${drawAt}:f>`,
+          inline: true
+        }
+      )
+      .setFooter({ text: `Raffle ID: ${raffle._id} · seed hash ${raffle.seedHash.slice(0, 16)}…` });
+
+    if (raffle.description) embed.setDescription(raffle.description);
+
+    if (raffle.status === 'drawn') {
+      embed.addFields({
+        name: 'Result',
+        value: raffle.winners.length
+          ? raffle.winners.map(w => `<@${w.discordId}> (ticket #${w.ticketNumber})`).join('\n')
+          : 'No tickets were sold.'
+      });
+    } else if (raffle.status === 'cancelled') {
+      embed.addFields({ name: 'Result', value: 'Cancelled, all tickets refunded.' });
+    }
+
+    return embed;
+  },
+
+  /**
+   * Ticket button, disabled once the raffle is no longer selling
+   * @param {Object} raffle - Raffle document
+   * @returns {Array} Component rows
+   */
+  buildRaffleComponents(raffle) {
+    return [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`raffle_ticket:${raffle._id}`)
+          .setLabel(raffle.status === 'open' ? `Buy ticket (${raffle.ticketPrice} coins)` : 'Ticket sales closed')
+          .setStyle(ButtonStyle.Success)
+          .setDisabled(raffle.status !== 'open')
+      )
+    ];
+  },
+
+  /**
+   * Bring the posted raffle message up to date
+   * @param {Object} client - Discord client
+   * @param {Object} raffle - Raffle document
+   * @returns {Promise<Object|null>} The message, if it could be found
+   */
+  async refreshMessage(client, raffle) {
+    if (!raffle.channelId || !raffle.messageId) return null;
+
+    try {
+      const channel = await client.channels.fetch(raffle.channelId);
+      const message = await channel.messages.fetch(raffle.messageId);
+      await message.edit({
+        embeds: [this.buildRaffleEmbed(raffle)],
+        components: this.buildRaffleComponents(raffle)
+      });
+      return message;
+    } catch (err) {
+      logger.warn('Could not update raffle message', { raffleId: raffle._id, error: err.message });
+      return null;
+    }
+  },
+
+  /**
+   * Create a raffle and post it in the current channel
+   */
+  async createRaffle(interaction) {
+    const prize = validateString(interaction.options.getString('prize'), {
+      fieldName: 'Prize',
+      minLength: 1,
+      maxLength: 100
+    });
+    const ticketPrice = validatePositiveInteger(interaction.options.getInteger('ticket_price'), 'Ticket price');
+    const maxTicketsPerUser = validatePositiveInteger(interaction.options.getInteger('max_tickets'), 'Max tickets');
+    const drawAt = validateDateTime(interaction.options.getString('draw_at'), 'Draw time');
+    const winnerCount = interaction.options.getInteger('winners') ?? 1;
+
+    if (drawAt <= new Date()) {
+      throw new ValidationError('Draw time must be in the future', 'draw_at');
+    }
+
+    const seed = createSeed();
+    const raffle = new Raffle({
+      prize,
+      description: interaction.options.getString('description'),
+      ticketPrice,
+      maxTicketsPerUser,
+      winnerCount,
+      drawAt,
+      seed,
+      seedHash: hashSeed(seed),
+      channelId: interaction.channel.id,
+      createdBy: interaction.user.id
+    });
+
+    const message = await interaction.channel.send({
+      embeds: [this.buildRaffleEmbed(raffle)],
+      components: this.buildRaffleComponents(raffle)
+    });
+
+    raffle.messageId = message.id;
+    await raffle.save();
+
+    return `Raffle for **${prize}** is live; the draw is <t:${Math.floor(drawAt.getTime() / 1000)}:R>. ID: \`${raffle._id}\``;
+  },
+
+  /**
+   * Cancel an open raffle and refund every ticket
+   */
+  async cancelRaffle(interaction) {
+    const raffleId = this.parseRaffleId(interaction);
+
+    const raffle = await Raffle.transition(raffleId, 'open', 'cancelled');
+    if (!raffle) {
+      throw new ValidationError('No open raffle with that ID', 'raffle_id');
+    }
+
+    const tickets = await RaffleTicket.find({ raffleId: raffle._id, refunded: false });
+    for (const ticket of tickets) {
+      await economy.credit(ticket.discordId, ticket.price, {
+        source: 'raffle_refund',
+        reason: `Raffle cancelled: ${raffle.prize} (ticket #${ticket.ticketNumber})`,
+        actorId: interaction.user.id,
+        referenceId: raffle._id
+      });
+      await RaffleTicket.updateOne({ _id: ticket._id }, { $set: { refunded: true } });
+    }
+
+    await this.refreshMessage(interaction.client, raffle);
+
+    return `Cancelled the raffle for **${raffle.prize}** and refunded ${tickets.length} ticket(s).`;
+  },
+
+  /**
+   * Audit trail: seed commitment, revealed seed and every ticket as CSV
+   */
+  async auditRaffle(interaction) {
+    const raffleId = this.parseRaffleId(interaction);
+    const raffle = await Raffle.findById(raffleId);
+
+    if (!raffle) {
+      throw new ValidationError('No raffle with that ID', 'raffle_id');
+    }
+
+    return this.buildAudit(raffle);
+  },
+
+  /**
+   * Audit message for a raffle; also posted with the draw result so members can check it
+   * @param {Object} raffle - Raffle document
+   * @returns {Promise<Object>} Message options with the summary and the ticket CSV
+   */
+  async buildAudit(raffle) {
+    const tickets = await RaffleTicket.find({ raffleId: raffle._id }).sort({ ticketNumber: 1 }).lean();
+    const csv = [
+      'ticketNumber,discordId,price,purchasedAt,transactionId,refunded',
+      ...tickets.map(t =>
+        [t.ticketNumber, t.discordId, t.price, t.createdAt.toISOString(), t.transactionId || '', t.refunded].join(',')
+      )
+    ].join('\n');
+
+    const lines = [
+      `**${raffle.prize}** · ${raffle.status} · ${tickets.length} ticket(s)`,
+      `Seed hash (published at creation): \`${raffle.seedHash}\``,
+      raffle.revealedSeed
+        ? `Seed (revealed at draw): \`${raffle.revealedSeed}\``
+        : 'Seed is revealed when the raffle is drawn.',
+      'Draw: for round r, take the first 8 bytes of HMAC-SHA256(seed, "<raffleId>:<r>") modulo the number of tickets left (sorted by number); a winner\'s other tickets leave the pool.'
+    ];
+
+    return {
+      content: lines.join('\n'),
+      files: [new AttachmentBuilder(Buffer.from(csv), { name: `raffle-${raffle._id}-tickets.csv` })]
+    };
+  },
+
+  /**
+   * Read and check the raffle_id option
+   */
+  parseRaffleId(interaction) {
+    const raffleId = interaction.options.getString('raffle_id').trim();
+    if (!mongoose.isValidObjectId(raffleId)) {
+      throw new ValidationError('That is not a valid raffle ID', 'raffle_id');
+    }
+    return raffleId;
+  },
+
+  /**
+   * Execute the raffle command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'raffle',
+      userId: interaction.user.id
+    });
+
+    if (!(await checkAdmin(interaction))) return;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      let message;
+      switch (subcommand) {
+        case 'create':
+          message = await this.createRaffle(interaction);
+          break;
+        case 'cancel':
+          message = await this.cancelRaffle(interaction);
+          break;
+        case 'audit':
+          return interaction.editReply(await this.auditRaffle(interaction));
+        default:
+          return interaction.editReply('Unknown subcommand.');
+      }
+
+      cmdLog.info('Raffle command completed', { subcommand });
+      return interaction.editReply(`✅ ${message}`);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return interaction.editReply(`📋 ${error.message}`);
+      }
+
+      captureException(error, { command: 'raffle', user: interaction.user.id });
+      cmdLog.error('Error in raffle command', { error: error.message });
+      return interaction.editReply('An error occurred while managing the raffle.');
+    }
+  },
+
+  /**
+   * Ticket button: pay, then take the next ticket number
+   * @param {Object} interaction - Button interaction
+   */
+  async handleTicketButton(interaction) {
+    const cmdLog = logger.withContext({
+      area: 'raffle-ticket',
+      userId: interaction.user.id
+    });
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const raffleId = interaction.customId.split(':')[1];
+    const lockKey = `${interaction.user.id}:${raffleId}`;
+    if (pendingTickets.has(lockKey)) {
+      return interaction.editReply('⏳ Your previous ticket is still being processed.');
+    }
+    pendingTickets.add(lockKey);
+
+    try {
+      const raffle = await Raffle.findById(raffleId);
+      if (!raffle || raffle.status !== 'open' || raffle.drawAt <= new Date()) {
+        return interaction.editReply('❌ This raffle is no longer selling tickets.');
+      }
+
+      const owned = await RaffleTicket.countDocuments({ raffleId: raffle._id, discordId: interaction.user.id });
+      if (owned >= raffle.maxTicketsPerUser) {
+        return interaction.editReply(`❌ You already hold the maximum of **${raffle.maxTicketsPerUser}** ticket(s).`);
+      }
+
+      const payment = await economy.debit(interaction.user.id, raffle.ticketPrice, {
+        source: 'raffle_ticket',
+        reason: `Raffle ticket: ${raffle.prize}`,
+        actorId: interaction.user.id,
+        referenceId: raffle._id
+      });
+
+      if (!payment.success) {
+        return interaction.editReply(
+          payment.code === RESULT_CODES.INSUFFICIENT_FUNDS
+            ? `❌ You need **${payment.shortfall}** more coins for a ticket.`
+            : '❌ Your ticket could not be bought.'
+        );
+      }
+
+      // Ticket numbers come from the raffle's counter, which also stops sales after the draw starts
+      const updated = await Raffle.findOneAndUpdate(
+        { _id: raffle._id, status: 'open', drawAt: { $gt: new Date() } },
+        { $inc: { ticketsSold: 1 } },
+        { new: true }
+      );
+
+      if (!updated) {
+        await economy.credit(interaction.user.id, raffle.ticketPrice, {
+          source: 'raffle_refund',
+          reason: `Raffle closed before ticket was issued: ${raffle.prize}`,
+          referenceId: raffle._id
+        });
+        return interaction.editReply('❌ The raffle just closed. Your coins have been returned.');
+      }
+
+      let ticket;
+      try {
+        ticket = await RaffleTicket.create({
+          raffleId: raffle._id,
+          discordId: interaction.user.id,
+          ticketNumber: updated.ticketsSold,
+          price: raffle.ticketPrice,
+          transactionId: payment.transaction?._id || null
+        });
+      } catch (err) {
+        // No ticket means it can't win or be refunded later: return the coins and the sale now.
+        // The count only goes back if nobody bought since, so ticket numbers are never reused.
+        await economy.credit(interaction.user.id, raffle.ticketPrice, {
+          source: 'raffle_refund',
+          reason: `Raffle ticket could not be issued: ${raffle.prize}`,
+          referenceId: raffle._id
+        });
+        await Raffle.updateOne({ _id: raffle._id, ticketsSold: updated.ticketsSold }, { $inc: { ticketsSold: -1 } });
+        throw err;
+      }
+
+      cmdLog.info('Raffle ticket bought', { raffleId: raffle._id, ticketNumber: ticket.ticketNumber });
+
+      await this.refreshMessage(interaction.client, updated);
+
+      return interaction.editReply(
+        `🎟️ You bought ticket **#${ticket.ticketNumber}** for **${raffle.prize}** ` +
+        `(${owned + 1}/${raffle.maxTicketsPerUser}). Balance: **${payment.balance}**.`
+      );
+    } catch (error) {
+      captureException(error, { area: 'raffle-ticket', raffleId, user: interaction.user.id });
+      cmdLog.error('Error buying raffle ticket', { error: error.message });
+      return interaction.editReply('❌ An error occurred while buying your ticket.');
+    } finally {
+      pendingTickets.delete(lockKey);
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(raffleCommand.name, raffleCommand);
+
+module.exports = raffleCommand;
@@ -1,12 +1,30 @@
 // src/commands/registerCommands.js
-const { REST, Routes, ApplicationCommandOptionType, PermissionFlagsBits } = require('discord.js');
+const { REST, Routes, ApplicationCommandOptionType, PermissionFlagsBits, ChannelType } = require('discord.js');
 require('dotenv').config();
 const winston = require('winston');
+const itemHandlerRegistry = require('../utils/itemHandlerRegistry');
 const logger = winston.createLogger({
   level: 'info',
   transports: [new winston.transports.Console({ format: winston.format.simple() })],
 });
 
+// Channels a /tracking rule can target
+const TRACKED_CHANNEL_TYPES = [
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.GuildVoice,
+  ChannelType.GuildStageVoice,
+  ChannelType.GuildForum,
+  ChannelType.GuildCategory,
+];
+
+// Metrics a /milestones entry can measure
+const MILESTONE_METRIC_CHOICES = [
+  { name: 'Messages', value: 'messages' },
+  { name: 'Reactions', value: 'reactions' },
+  { name: 'Voice minutes', value: 'voice' },
+];
+
 async function registerSlashCommands() {
   const { DISCORD_TOKEN, CLIENT_ID, GUILD_ID } = process.env;
   if (!DISCORD_TOKEN || !CLIENT_ID || !GUILD_ID) {
@@ -16,6 +34,18 @@ async function registerSlashCommands() {
 
   const commands = [
     { name: 'gm', description: 'Get your daily GM reward' },
+    {
+      name: 'timezone',
+      description: 'Set the timezone used for your daily GM reset.',
+      options: [
+        {
+          name: 'zone',
+          description: 'IANA timezone, e.g. Europe/Berlin',
+          type: ApplicationCommandOptionType.String,
+          required: true,
+        },
+      ],
+    },
     {
       name: 'x-tweet',
       description: 'Check if Twitter account has a new Tweet and post it.',
@@ -47,7 +77,39 @@ async function registerSlashCommands() {
         },
       ],
     },
-    { name: 'leaderboard', description: 'View the top 10 coin holders.' },
+    {
+      name: 'leaderboard',
+      description: 'View the top users by coins, activity or GM streak.',
+      options: [
+        {
+          name: 'metric',
+          description: 'What to rank by (default: coins)',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          choices: [
+            { name: 'Coins', value: 'coins' },
+            { name: 'Messages', value: 'messages' },
+            { name: 'Voice minutes', value: 'voice' },
+            { name: 'Reactions', value: 'reactions' },
+            { name: 'Tweet likes', value: 'likes' },
+            { name: 'Retweets', value: 'retweets' },
+            { name: 'GM streak', value: 'gm-streak' },
+          ],
+        },
+        {
+          name: 'period',
+          description: 'Time window, in UTC (default: all time)',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          choices: [
+            { name: 'Today', value: 'daily' },
+            { name: 'This week', value: 'weekly' },
+            { name: 'This month', value: 'monthly' },
+            { name: 'All time', value: 'all' },
+          ],
+        },
+      ],
+    },
     {
       name: 'stats',
       description: 'Show stats for you or another user.',
@@ -58,11 +120,92 @@ async function registerSlashCommands() {
           type: ApplicationCommandOptionType.User,
           required: false,
         },
+        {
+          name: 'view',
+          description: 'Stat card or 30-day trends (default: card)',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          choices: [
+            { name: 'Card', value: 'card' },
+            { name: 'Trends', value: 'trends' },
+          ],
+        },
+      ],
+    },
+    {
+      name: 'wallet',
+      description: 'View your coin balance and transaction history.',
+      options: [
+        {
+          name: 'balance',
+          description: 'Show your current balance',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            {
+              name: 'user',
+              description: 'User to inspect (Admin only)',
+              type: ApplicationCommandOptionType.User,
+              required: false,
+            },
+          ],
+        },
+        {
+          name: 'history',
+          description: 'Browse every change to your balance',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            {
+              name: 'user',
+              description: 'User to inspect (Admin only)',
+              type: ApplicationCommandOptionType.User,
+              required: false,
+            },
+          ],
+        },
+        {
+          name: 'breakdown',
+          description: 'See where your coins came from',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            {
+              name: 'user',
+              description: 'User to inspect (Admin only)',
+              type: ApplicationCommandOptionType.User,
+              required: false,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      name: 'pay',
+      description: 'Send coins to another member.',
+      options: [
+        {
+          name: 'user',
+          description: 'Member to send coins to',
+          type: ApplicationCommandOptionType.User,
+          required: true,
+        },
+        {
+          name: 'amount',
+          description: 'Amount of coins to send',
+          type: ApplicationCommandOptionType.Integer,
+          required: true,
+          min_value: 1,
+        },
+        {
+          name: 'note',
+          description: 'Optional message for the recipient',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          max_length: 100,
+        },
       ],
     },
     {
       name: 'add-marketplace',
-      description: 'Add a role to the marketplace. (Admin only)',
+      description: 'Add an item to the marketplace. (Admin only)',
       default_member_permissions: String(PermissionFlagsBits.Administrator),
       options: [
         {
@@ -71,17 +214,113 @@ async function registerSlashCommands() {
           type: ApplicationCommandOptionType.String,
           required: true,
         },
+        {
+          name: 'price',
+          description: 'Price of the item in coins',
+          type: ApplicationCommandOptionType.Integer,
+          required: true,
+        },
+        {
+          name: 'type',
+          description: 'What the item grants (default: role)',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          choices: [
+            { name: 'Role', value: 'role' },
+            { name: 'Timed role', value: 'timed_role' },
+            { name: 'Consumable (goes to inventory)', value: 'consumable' },
+            { name: 'Custom (fulfilled by staff)', value: 'custom' },
+            { name: 'GM streak freeze', value: 'streak_freeze' },
+          ],
+        },
         {
           name: 'role',
-          description: 'Role to associate with this item',
+          description: 'Role to associate with this item (required for role and timed role items)',
           type: ApplicationCommandOptionType.Role,
-          required: true,
+          required: false,
         },
         {
-          name: 'price',
-          description: 'Price of the item in coins',
+          name: 'duration_days',
+          description: 'How long a timed role lasts',
           type: ApplicationCommandOptionType.Integer,
-          required: true,
+          required: false,
+          min_value: 1,
+        },
+        {
+          name: 'effect',
+          description: 'What /use does for a consumable (required for consumables)',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          // One choice per handler file in src/items
+          choices: itemHandlerRegistry.getEffectChoices(),
+        },
+        {
+          name: 'effect_value',
+          description: 'Parameter for the effect, e.g. coins granted',
+          type: ApplicationCommandOptionType.Integer,
+          required: false,
+          min_value: 1,
+        },
+        {
+          name: 'description',
+          description: 'Shown under the item in the marketplace',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          max_length: 200,
+        },
+        {
+          name: 'category',
+          description: 'Marketplace category (default: General)',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          max_length: 30,
+        },
+        {
+          name: 'image_url',
+          description: 'Image shown when buying the item',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+        },
+        {
+          name: 'stock',
+          description: 'Number of units for sale (default: unlimited)',
+          type: ApplicationCommandOptionType.Integer,
+          required: false,
+          min_value: 0,
+        },
+        {
+          name: 'per_user_limit',
+          description: 'How many times one member can buy it (default: unlimited)',
+          type: ApplicationCommandOptionType.Integer,
+          required: false,
+          min_value: 1,
+        },
+        {
+          name: 'demand_step',
+          description: 'Percent the price rises per recent purchase (default: 0, off)',
+          type: ApplicationCommandOptionType.Number,
+          required: false,
+          min_value: 0,
+          max_value: 100,
+        },
+        {
+          name: 'demand_half_life_hours',
+          description: 'Hours for demand pricing to fall halfway back (default: 24)',
+          type: ApplicationCommandOptionType.Number,
+          required: false,
+          min_value: 1,
+        },
+        {
+          name: 'available_from',
+          description: 'Sale start, e.g. 2026-11-01T00:00Z or a unix timestamp',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+        },
+        {
+          name: 'available_until',
+          description: 'Sale end, e.g. 2026-11-08T00:00Z or a unix timestamp',
+          type: ApplicationCommandOptionType.String,
+          required: false,
         },
       ],
     },
@@ -127,11 +366,104 @@ async function registerSlashCommands() {
           type: ApplicationCommandOptionType.Role,
           required: false,
         },
+        {
+          name: 'new_stock',
+          description: 'Units left for sale (-1 removes the limit)',
+          type: ApplicationCommandOptionType.Integer,
+          required: false,
+          min_value: -1,
+        },
+        {
+          name: 'new_description',
+          description: 'New item description',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          max_length: 200,
+        },
+        {
+          name: 'new_demand_step',
+          description: 'Percent the price rises per recent purchase (0 turns it off)',
+          type: ApplicationCommandOptionType.Number,
+          required: false,
+          min_value: 0,
+          max_value: 100,
+        },
+        {
+          name: 'new_category',
+          description: 'New marketplace category',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          max_length: 30,
+        },
+        {
+          name: 'new_image_url',
+          description: 'New item image',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+        },
       ],
     },
     {
       name: 'marketplace',
       description: 'View the marketplace.',
+      options: [
+        {
+          name: 'category',
+          description: 'Category to open (default: first)',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          max_length: 30,
+        },
+      ],
+    },
+    {
+      name: 'orders',
+      description: 'View your recent marketplace orders.',
+      options: [
+        {
+          name: 'user',
+          description: 'Whose orders to show (admins only)',
+          type: ApplicationCommandOptionType.User,
+          required: false,
+        },
+      ],
+    },
+    {
+      name: 'refund',
+      description: 'Refund a marketplace order. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'order_id',
+          description: 'Order ID from the receipt or /orders',
+          type: ApplicationCommandOptionType.String,
+          required: true,
+        },
+        {
+          name: 'reason',
+          description: 'Shown to the buyer',
+          type: ApplicationCommandOptionType.String,
+          required: false,
+          max_length: 200,
+        },
+      ],
+    },
+    {
+      name: 'inventory',
+      description: 'View the items you own.',
+    },
+    {
+      name: 'use',
+      description: 'Use a consumable from your inventory.',
+      options: [
+        {
+          name: 'item',
+          description: 'Name of the item to use',
+          type: ApplicationCommandOptionType.String,
+          required: true,
+          max_length: 50,
+        },
+      ],
     },
     {
       name: 'give-coins',
@@ -190,6 +522,302 @@ async function registerSlashCommands() {
         },
       ],
     },
+    {
+      name: 'reconcile-coins',
+      description: 'Compare a user\'s balance with their coin ledger. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'user',
+          description: 'User to reconcile',
+          type: ApplicationCommandOptionType.User,
+          required: true,
+        },
+      ],
+    },
+    {
+      name: 'auction',
+      description: 'Create and manage auctions. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'create',
+          description: 'Post an auction in this channel',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'title', description: 'What is being auctioned', type: ApplicationCommandOptionType.String, required: true, max_length: 100 },
+            { name: 'reserve', description: 'Lowest accepted bid in coins', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1 },
+            { name: 'ends_at', description: 'End, e.g. 2026-11-01T18:00Z or a unix timestamp', type: ApplicationCommandOptionType.String, required: true },
+            {
+              name: 'prize_type',
+              description: 'How the prize is delivered',
+              type: ApplicationCommandOptionType.String,
+              required: true,
+              choices: [
+                { name: 'Role', value: 'role' },
+                { name: 'Custom (fulfilled by staff)', value: 'custom' },
+              ],
+            },
+            { name: 'role', description: 'Role prize', type: ApplicationCommandOptionType.Role, required: false },
+            { name: 'description', description: 'Details shown on the auction', type: ApplicationCommandOptionType.String, required: false, max_length: 500 },
+            { name: 'min_increment', description: 'Smallest raise over the highest bid (default: 1)', type: ApplicationCommandOptionType.Integer, required: false, min_value: 1 },
+            { name: 'image_url', description: 'Image shown on the auction', type: ApplicationCommandOptionType.String, required: false },
+          ],
+        },
+        {
+          name: 'cancel',
+          description: 'Cancel an open auction and refund the highest bid',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'auction_id', description: 'Auction ID from the auction footer', type: ApplicationCommandOptionType.String, required: true },
+          ],
+        },
+        {
+          name: 'list',
+          description: 'Show open auctions',
+          type: ApplicationCommandOptionType.Subcommand,
+        },
+      ],
+    },
+    {
+      name: 'raffle',
+      description: 'Create and manage raffles. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'create',
+          description: 'Post a raffle in this channel',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'prize', description: 'What the winner gets', type: ApplicationCommandOptionType.String, required: true, max_length: 100 },
+            { name: 'ticket_price', description: 'Price per ticket in coins', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1 },
+            { name: 'max_tickets', description: 'Most tickets one member can buy', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1 },
+            { name: 'draw_at', description: 'Draw time, e.g. 2026-11-01T18:00Z or a unix timestamp', type: ApplicationCommandOptionType.String, required: true },
+            { name: 'winners', description: 'Number of winners (default: 1)', type: ApplicationCommandOptionType.Integer, required: false, min_value: 1, max_value: 20 },
+            { name: 'description', description: 'Details shown on the raffle', type: ApplicationCommandOptionType.String, required: false, max_length: 500 },
+          ],
+        },
+        {
+          name: 'cancel',
+          description: 'Cancel an open raffle and refund all tickets',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'raffle_id', description: 'Raffle ID from the raffle footer', type: ApplicationCommandOptionType.String, required: true },
+          ],
+        },
+        {
+          name: 'audit',
+          description: 'Show the draw seed and export every ticket',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'raffle_id', description: 'Raffle ID from the raffle footer', type: ApplicationCommandOptionType.String, required: true },
+          ],
+        },
+      ],
+    },
+    {
+      name: 'tracking',
+      description: 'Exclude or weight channels for activity tracking. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'exclude',
+          description: 'Stop counting messages, reactions and voice minutes in a channel or category',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'target', description: 'Channel or category', type: ApplicationCommandOptionType.Channel, required: true, channel_types: TRACKED_CHANNEL_TYPES },
+          ],
+        },
+        {
+          name: 'weight',
+          description: 'Count each message in a channel or category several times',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'target', description: 'Channel or category', type: ApplicationCommandOptionType.Channel, required: true, channel_types: TRACKED_CHANNEL_TYPES },
+            { name: 'weight', description: 'Messages counted per message (e.g. 2)', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1, max_value: 10 },
+          ],
+        },
+        {
+          name: 'reset',
+          description: 'Remove the rule for a channel or category',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'target', description: 'Channel or category', type: ApplicationCommandOptionType.Channel, required: true, channel_types: TRACKED_CHANNEL_TYPES },
+          ],
+        },
+        {
+          name: 'list',
+          description: 'Show all tracking rules',
+          type: ApplicationCommandOptionType.Subcommand,
+        },
+      ],
+    },
+    {
+      name: 'milestones',
+      description: 'Define activity milestones and their rewards. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'set',
+          description: 'Add a milestone or change its reward',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'metric', description: 'Lifetime counter to measure', type: ApplicationCommandOptionType.String, required: true, choices: MILESTONE_METRIC_CHOICES },
+            { name: 'threshold', description: 'Messages, reactions or voice minutes to reach', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1 },
+            { name: 'reward', description: 'Coins paid once per member', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1 },
+          ],
+        },
+        {
+          name: 'remove',
+          description: 'Remove a milestone (coins already paid are kept)',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'metric', description: 'Lifetime counter', type: ApplicationCommandOptionType.String, required: true, choices: MILESTONE_METRIC_CHOICES },
+            { name: 'threshold', description: 'Threshold of the milestone', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1 },
+          ],
+        },
+        {
+          name: 'list',
+          description: 'Show all milestones',
+          type: ApplicationCommandOptionType.Subcommand,
+        },
+      ],
+    },
+    {
+      name: 'activity-flags',
+      description: 'Review users flagged for stat farming. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'list',
+          description: 'Show the most-flagged users',
+          type: ApplicationCommandOptionType.Subcommand,
+        },
+        {
+          name: 'clear',
+          description: 'Clear the flags of a user',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'user', description: 'User to clear', type: ApplicationCommandOptionType.User, required: true },
+          ],
+        },
+      ],
+    },
+    {
+      name: 'server-stats',
+      description: 'Community health dashboard. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'range',
+          description: 'Number of days to cover (default: 7)',
+          type: ApplicationCommandOptionType.Integer,
+          required: false,
+          choices: [
+            { name: 'Last 7 days', value: 7 },
+            { name: 'Last 30 days', value: 30 },
+            { name: 'Last 90 days', value: 90 },
+          ],
+        },
+      ],
+    },
+    {
+      name: 'marketplace-sale',
+      description: 'Schedule and end marketplace sales. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'start',
+          description: 'Schedule a percent-off sale',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'name', description: 'Sale name shown next to prices', type: ApplicationCommandOptionType.String, required: true, max_length: 50 },
+            { name: 'percent', description: 'Percent off', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1, max_value: 95 },
+            { name: 'ends_at', description: 'End, e.g. 2026-11-01T00:00Z or a unix timestamp', type: ApplicationCommandOptionType.String, required: true },
+            { name: 'starts_at', description: 'Start (default: now)', type: ApplicationCommandOptionType.String, required: false },
+            { name: 'category', description: 'Only this category', type: ApplicationCommandOptionType.String, required: false, max_length: 30 },
+            { name: 'item', description: 'Only this item (by name)', type: ApplicationCommandOptionType.String, required: false },
+          ],
+        },
+        {
+          name: 'end',
+          description: 'End a running sale or cancel a scheduled one',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'name', description: 'Sale name', type: ApplicationCommandOptionType.String, required: true },
+          ],
+        },
+        {
+          name: 'list',
+          description: 'Show running and scheduled sales',
+          type: ApplicationCommandOptionType.Subcommand,
+        },
+      ],
+    },
+    {
+      name: 'gm-config',
+      description: 'View and edit the GM reward distribution. (Admin only)',
+      default_member_permissions: String(PermissionFlagsBits.Administrator),
+      options: [
+        {
+          name: 'view',
+          description: 'Show the reward table, expected value and events',
+          type: ApplicationCommandOptionType.Subcommand,
+        },
+        {
+          name: 'add-tier',
+          description: 'Add a weighted reward tier',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'min', description: 'Lowest reward in the tier', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1, max_value: 10000 },
+            { name: 'max', description: 'Highest reward in the tier', type: ApplicationCommandOptionType.Integer, required: true, min_value: 1, max_value: 10000 },
+            { name: 'weight', description: 'Relative weight of the tier (e.g. 0.4)', type: ApplicationCommandOptionType.Number, required: true },
+            {
+              name: 'curve',
+              description: 'How values inside the tier are picked',
+              type: ApplicationCommandOptionType.String,
+              required: false,
+              choices: [
+                { name: 'Flat', value: 'flat' },
+                { name: 'Inverse square (small values likelier)', value: 'inverse_square' },
+              ],
+            },
+          ],
+        },
+        {
+          name: 'remove-tier',
+          description: 'Remove a reward tier',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'tier', description: 'Tier number as shown in view', type: ApplicationCommandOptionType.Integer, required: true },
+          ],
+        },
+        {
+          name: 'reset',
+          description: 'Restore the default reward tiers',
+          type: ApplicationCommandOptionType.Subcommand,
+        },
+        {
+          name: 'add-event',
+          description: 'Schedule a temporary reward multiplier',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'name', description: 'Event name, e.g. Double GM Weekend', type: ApplicationCommandOptionType.String, required: true },
+            { name: 'multiplier', description: 'Reward multiplier, e.g. 2', type: ApplicationCommandOptionType.Number, required: true },
+            { name: 'starts_at', description: 'Start (ISO date or unix timestamp)', type: ApplicationCommandOptionType.String, required: true },
+            { name: 'ends_at', description: 'End (ISO date or unix timestamp)', type: ApplicationCommandOptionType.String, required: true },
+          ],
+        },
+        {
+          name: 'remove-event',
+          description: 'Remove a scheduled event',
+          type: ApplicationCommandOptionType.Subcommand,
+          options: [
+            { name: 'name', description: 'Event name', type: ApplicationCommandOptionType.String, required: true },
+          ],
+        },
+      ],
+    },
     {
       name: 'reset-leaderboard',
       description: 'Reset the leaderboard. (Admin only)',
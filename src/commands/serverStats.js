@@ -0,0 +1,186 @@
+// src/commands/serverStats.js
+const { createCanvas } = require('canvas');
+const { AttachmentBuilder } = require('discord.js');
+const checkAdmin = require('../utils/checkAdmin');
+const logger = require('../utils/logger');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+const { defaultCache } = require('../utils/cacheManager');
+const { collectServerStats } = require('../utils/serverStats');
+const { drawRoundedRect, drawSparkline } = require('../utils/statsCanvas'); // also registers the fonts
+
+const CANVAS_WIDTH = 941;
+const CANVAS_HEIGHT = 600;
+const TILE_WIDTH = 280;
+const TILE_HEIGHT = 150;
+const GAP = 24;
+
+/**
+ * Draw a tile with a label, a headline value and a detail line
+ */
+function drawTile(ctx, x, y, label, value, detail) {
+  drawRoundedRect(ctx, x, y, TILE_WIDTH, TILE_HEIGHT, 21, '#FFFFFF');
+
+  ctx.fillStyle = '#1D1D1F';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.font = '16px "SFPRO-Light"';
+  ctx.fillText(label, x + 16, y + 14);
+  ctx.font = '24px "SFPRO-SEMIBOLD"';
+  ctx.fillText(value, x + 16, y + 36);
+
+  if (detail) {
+    ctx.font = '14px "SFPRO-Light"';
+    ctx.fillStyle = '#6E6E73';
+    ctx.fillText(detail, x + 16, y + TILE_HEIGHT - 30);
+  }
+}
+
+/**
+ * Draw a horizontal bar scaled against `max`
+ */
+function drawBar(ctx, x, y, width, value, max, color) {
+  drawRoundedRect(ctx, x, y, width, 10, 5, '#E5E5EA');
+  if (value > 0) {
+    drawRoundedRect(ctx, x, y, Math.max((value / max) * width, 10), 10, 5, color);
+  }
+}
+
+function formatPercent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Server Stats Command - community health dashboard (Admin only)
+ */
+const serverStatsCommand = {
+  name: 'server-stats',
+  description: 'Community health dashboard (Admin only)',
+
+  /**
+   * Render the dashboard image
+   * @param {Object} guild - Discord guild (for its name and channel names)
+   * @param {Object} stats - Result of collectServerStats
+   * @returns {Buffer} PNG image
+   */
+  renderDashboard(guild, stats) {
+    const canvas = createCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#F5F5F7';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    // header
+    const lastDay = new Date(stats.end.getTime() - 1);
+    ctx.fillStyle = '#1D1D1F';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.font = '24px "SFPRO-SEMIBOLD"';
+    ctx.fillText(`Server stats · ${guild.name}`, GAP, GAP);
+    ctx.font = '16px "SFPRO-Light"';
+    ctx.fillText(
+      `Last ${stats.days} days · ${stats.start.toISOString().slice(0, 10)} to ${lastDay.toISOString().slice(0, 10)} (UTC)`,
+      GAP,
+      GAP + 30
+    );
+
+    const column = (i) => GAP + i * (TILE_WIDTH + GAP);
+    const row1Y = 90;
+    const row2Y = row1Y + TILE_HEIGHT + GAP / 2;
+    const row3Y = row2Y + TILE_HEIGHT + GAP / 2;
+
+    // row 1: activity
+    drawTile(ctx, column(0), row1Y, 'Daily active members', Math.round(stats.avgDailyActive).toLocaleString(), null);
+    drawSparkline(ctx, column(0) + 16, row1Y + 76, TILE_WIDTH - 32, 50, stats.dailyActive, '#0A84FF');
+
+    drawTile(
+      ctx, column(1), row1Y, 'Messages', stats.messages.toLocaleString(),
+      `${Math.round(stats.messages / stats.days).toLocaleString()} per day`
+    );
+    drawTile(
+      ctx, column(2), row1Y, 'Voice hours', Math.round(stats.voiceHours).toLocaleString(),
+      `${(stats.voiceHours / stats.days).toFixed(1)} per day`
+    );
+
+    // row 2: economy and engagement
+    drawTile(ctx, column(0), row2Y, 'Coins minted vs burned', `${(stats.minted - stats.burned).toLocaleString()} net`, null);
+    const supplyMax = Math.max(stats.minted, stats.burned, 1);
+    ctx.font = '14px "SFPRO-Light"';
+    ctx.fillStyle = '#1D1D1F';
+    ctx.fillText(`+${stats.minted.toLocaleString()}`, column(0) + 16, row2Y + 78);
+    drawBar(ctx, column(0) + 100, row2Y + 82, TILE_WIDTH - 116, stats.minted, supplyMax, '#30D158');
+    ctx.fillStyle = '#1D1D1F';
+    ctx.fillText(`-${stats.burned.toLocaleString()}`, column(0) + 16, row2Y + 106);
+    drawBar(ctx, column(0) + 100, row2Y + 110, TILE_WIDTH - 116, stats.burned, supplyMax, '#FF453A');
+
+    drawTile(
+      ctx, column(1), row2Y, 'GM claim rate', formatPercent(stats.gmClaimRate),
+      `${stats.gmClaims.toLocaleString()} claims by active members`
+    );
+    drawTile(
+      ctx, column(2), row2Y, 'Tweet engagement', formatPercent(stats.tweetEngagementRate),
+      `${stats.tweets} tweet(s) · ${stats.linkedMembers} linked member(s)`
+    );
+
+    // row 3: top channels
+    const channelsWidth = CANVAS_WIDTH - GAP * 2;
+    drawRoundedRect(ctx, GAP, row3Y, channelsWidth, CANVAS_HEIGHT - row3Y - GAP, 21, '#FFFFFF');
+    ctx.fillStyle = '#1D1D1F';
+    ctx.font = '16px "SFPRO-Light"';
+    ctx.fillText('Top channels', GAP + 16, row3Y + 14);
+
+    if (!stats.topChannels.length) {
+      ctx.fillText('No channel activity recorded in this range.', GAP + 16, row3Y + 44);
+    }
+
+    const channelMax = stats.topChannels[0]?.messages || 1;
+    stats.topChannels.forEach((channel, i) => {
+      const y = row3Y + 42 + i * 22;
+      const name = guild.channels.cache.get(channel.channelId)?.name || 'deleted-channel';
+      ctx.fillStyle = '#1D1D1F';
+      ctx.font = '14px "SFPRO-SEMIBOLD"';
+      ctx.fillText(`#${name}`.slice(0, 28), GAP + 16, y);
+      ctx.font = '14px "SFPRO-Light"';
+      ctx.fillText(channel.messages.toLocaleString(), GAP + 240, y);
+      drawBar(ctx, GAP + 330, y + 3, channelsWidth - 350, channel.messages, channelMax, '#0A84FF');
+    });
+
+    return canvas.toBuffer();
+  },
+
+  /**
+   * Execute the server-stats command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'server-stats',
+      userId: interaction.user.id
+    });
+
+    if (!(await checkAdmin(interaction))) return;
+    await interaction.deferReply({ ephemeral: true });
+
+    const days = interaction.options.getInteger('range') || 7;
+
+    try {
+      // Rendering runs several aggregations; cache for a few minutes per range
+      const buffer = await defaultCache.getOrFetch(
+        `server-stats:${interaction.guild.id}:${days}`,
+        async () => this.renderDashboard(interaction.guild, await collectServerStats(days)),
+        { ttl: 300 }
+      );
+
+      return interaction.editReply({ files: [new AttachmentBuilder(buffer, { name: 'server-stats.png' })] });
+    } catch (error) {
+      captureException(error, { command: 'server-stats', user: interaction.user.id });
+      cmdLog.error('Error in server-stats command', { error: error.message });
+      return interaction.editReply('An error occurred while building server stats.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(serverStatsCommand.name, serverStatsCommand);
+
+module.exports = serverStatsCommand;
@@ -1,8 +1,13 @@
 // src/commands/stats.js
-const { createCanvas, loadImage, registerFont } = require('canvas');
+const { createCanvas, loadImage } = require('canvas');
 const path = require('path');
 const { AttachmentBuilder } = require('discord.js');
 const User = require('../models/User');
+const ActivityDaily = require('../models/ActivityDaily');
+const VoiceSession = require('../models/VoiceSession');
+const { getVoiceSession } = require('../utils/voiceTracker');
+const { formatMetricValue } = require('../utils/leaderboards');
+const { CacheManager } = require('../utils/cacheManager');
 const winston = require('winston');
 const logger = winston.createLogger({
   level: 'info',
@@ -10,10 +15,7 @@ const logger = winston.createLogger({
 });
 
 const { hasTeamRole } = require('../utils/roleCheck'); // Import your team-check helper
-
-// Register fonts
-registerFont(path.join(__dirname, '../assets/SF-Pro-Text-Light.otf'), { family: 'SFPRO-Light' });
-registerFont(path.join(__dirname, '../assets/SFPRO-SEMIBOLD.otf'), { family: 'SFPRO-SEMIBOLD' });
+const { drawRoundedRect, drawSparkline } = require('../utils/statsCanvas'); // also registers the fonts
 
 // We'll cache the background
 let cachedBackgroundImage = null;
@@ -30,23 +32,6 @@ async function getBackgroundImage() {
   return cachedBackgroundImage;
 }
 
-// Rounded rect
-function drawRoundedRect(ctx, x, y, width, height, radius, fillColor) {
-  ctx.beginPath();
-  ctx.moveTo(x + radius, y);
-  ctx.lineTo(x + width - radius, y);
-  ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-  ctx.lineTo(x + width, y + height - radius);
-  ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-  ctx.lineTo(x + radius, y + height);
-  ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-  ctx.lineTo(x, y + radius);
-  ctx.quadraticCurveTo(x, y, x + radius, y);
-  ctx.closePath();
-  ctx.fillStyle = fillColor;
-  ctx.fill();
-}
-
 // Draw stat card
 function drawStatCard(ctx, x, y, width, height, stat, offsets = {}) {
   const { countX = 0, countY = 0, rankX = 0, rankY = 0 } = offsets;
@@ -95,6 +80,114 @@ function formatDate(date) {
   return `${month}.${day}.${year}`;
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREND_DAYS = 30;
+
+// Sparklines on the trends view
+const TREND_SERIES = [
+  { field: 'messages', label: 'Messages', color: '#0A84FF' },
+  { field: 'voiceMinutes', label: 'Voice minutes', color: '#30D158' },
+  { field: 'coinsEarned', label: 'Coins earned', color: '#FF9F0A' },
+];
+
+/**
+ * Render the 30-day trends image. The window ends with yesterday, so the
+ * image only changes once a day and can be cached until UTC midnight.
+ * @param {object} targetUser - Discord user
+ * @param {Date} today - UTC midnight of today
+ * @returns {Buffer} PNG image
+ */
+async function renderTrendsImage(targetUser, today) {
+  const start = new Date(today.getTime() - TREND_DAYS * DAY_MS);
+  const history = await ActivityDaily.historyFor(targetUser.id, start, today);
+  const byDay = new Map(history.map(bucket => [bucket.day.getTime(), bucket]));
+
+  const canvasWidth = 941;
+  const canvasHeight = 321;
+  const canvas = createCanvas(canvasWidth, canvasHeight);
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = '#F5F5F7';
+  ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+  // avatar and name, as on the stats card
+  const avatarSize = 50;
+  try {
+    const img = await loadImage(targetUser.displayAvatarURL({ extension: 'png', size: 128 }));
+    drawRoundedAvatar(ctx, img, 24, 24, avatarSize, 5);
+  } catch (err) {
+    logger.error('Error loading avatar image:', err);
+  }
+
+  ctx.fillStyle = '#1D1D1F';
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'left';
+  ctx.font = '24px "SFPRO-SEMIBOLD"';
+  ctx.fillText(targetUser.displayName || targetUser.username, 24 + avatarSize + 13, 24);
+  ctx.font = '16px "SFPRO-Light"';
+  ctx.fillText(`Last ${TREND_DAYS} days`, 24 + avatarSize + 13, 54);
+
+  const cardWidth = 280;
+  const cardHeight = 190;
+  const cardGapX = 24;
+  const cardY = 100;
+
+  TREND_SERIES.forEach((series, i) => {
+    const values = [];
+    for (let d = 0; d < TREND_DAYS; d++) {
+      values.push(byDay.get(start.getTime() + d * DAY_MS)?.[series.field] || 0);
+    }
+    const total = values.reduce((sum, value) => sum + value, 0);
+
+    const x = 24 + i * (cardWidth + cardGapX);
+    drawRoundedRect(ctx, x, cardY, cardWidth, cardHeight, 21, '#FFFFFF');
+
+    ctx.fillStyle = '#1D1D1F';
+    ctx.textAlign = 'left';
+    ctx.font = '16px "SFPRO-Light"';
+    ctx.fillText(series.label, x + 16, cardY + 14);
+    ctx.font = '24px "SFPRO-SEMIBOLD"';
+    ctx.fillText(total.toLocaleString(), x + 16, cardY + 36);
+
+    drawSparkline(ctx, x + 16, cardY + 80, cardWidth - 32, cardHeight - 100, values, series.color);
+  });
+
+  return canvas.toBuffer();
+}
+
+// Rendered trends images, one per user per day; kept apart from the default
+// cache so a busy day can't fill it, and only for an hour so memory stays bounded
+const TRENDS_CACHE_TTL = 60 * 60;
+const trendsCache = new CacheManager({ defaultTTL: TRENDS_CACHE_TTL, maxKeys: 1000 });
+
+/**
+ * Trends image for a user, cached per user for up to an hour (never past the UTC day)
+ * @param {object} targetUser - Discord user
+ * @returns {Promise<Buffer>} PNG image
+ */
+function getTrendsImage(targetUser) {
+  const today = ActivityDaily.dayStart();
+  const ttl = Math.min(TRENDS_CACHE_TTL, Math.ceil((today.getTime() + DAY_MS - Date.now()) / 1000));
+
+  return trendsCache.getOrFetch(
+    `stats-trends:${targetUser.id}:${today.toISOString().slice(0, 10)}`,
+    () => renderTrendsImage(targetUser, today),
+    { ttl }
+  );
+}
+
+/**
+ * Longest voice session in minutes, counting the one in progress
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<number>} Minutes
+ */
+async function getLongestSessionMinutes(discordId) {
+  const longest = await VoiceSession.findLongest(discordId);
+  const current = getVoiceSession(discordId);
+  const currentMinutes = current ? Math.round((Date.now() - current.joinedAt) / 60000) : 0;
+  return Math.max(longest?.durationMinutes || 0, currentMinutes);
+}
+
 /**
  * Helper to compute a rank for a stat, excluding team users from the "greater" set.
  * @param {object} interaction - The Discord interaction (used to fetch guild members).
@@ -134,6 +227,12 @@ module.exports = {
         return interaction.editReply(`${targetUser.username} has no stats yet.`);
       }
 
+      // 30-day sparklines instead of the stat card
+      if (interaction.options.getString('view') === 'trends') {
+        const buffer = await getTrendsImage(targetUser);
+        return interaction.editReply({ files: [new AttachmentBuilder(buffer, { name: 'stats-trends.png' })] });
+      }
+
       // check if they are Team
       const member = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
       let isTeam = false;
@@ -229,6 +328,14 @@ module.exports = {
      ctx.font = '16px "SFPRO-Light"';
      ctx.fillText(targetUser.username, infoX, infoY + 30);
 
+      // GM streak (top right)
+      ctx.textAlign = 'right';
+      ctx.font = '16px "SFPRO-SEMIBOLD"';
+      ctx.fillText(`GM streak: ${userDoc.gmStreak || 0} day(s)`, canvasWidth - 24, infoY + 4);
+      ctx.font = '16px "SFPRO-Light"';
+      ctx.fillText(`Best: ${userDoc.longestGmStreak || 0}`, canvasWidth - 24, infoY + 30);
+      ctx.textAlign = 'left';
+
       // layout for stat cards
       const cardWidth = 280;
       const cardHeight = 70;
@@ -272,9 +379,15 @@ module.exports = {
       }
       ctx.fillText(joinDate, 157, footerY - 11);
 
+      // longest voice session (footer right)
+      const longestSession = await getLongestSessionMinutes(targetUser.id);
+      ctx.textAlign = 'right';
+      ctx.font = '16px "SFPRO-Light"';
+      ctx.fillText(`Longest voice session: ${formatMetricValue('voice', longestSession)}`, canvasWidth - 24, footerY - 11);
+      ctx.textAlign = 'left';
+
       // finalize
       const buffer = canvas.toBuffer();
-      const { AttachmentBuilder } = require('discord.js');
       const attachment = new AttachmentBuilder(buffer, { name: 'stats.png' });
       return interaction.editReply({ files: [attachment] });
     } catch (error) {
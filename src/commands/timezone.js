@@ -0,0 +1,81 @@
+// src/commands/timezone.js
+const User = require('../models/User');
+const config = require('../config');
+const logger = require('../utils/logger');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+const { isValidTimeZone, getNextReset } = require('../utils/dailyReset');
+
+// Stops hopping between timezones to claim GM twice in one day
+const CHANGE_COOLDOWN_DAYS = 7;
+
+/**
+ * Timezone Command - choose when your GM day resets
+ */
+const timezoneCommand = {
+  name: 'timezone',
+  description: 'Set the timezone used for your daily GM reset',
+
+  /**
+   * Execute the timezone command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'timezone',
+      userId: interaction.user.id
+    });
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      if (!config.gm.allowUserTimezone) {
+        return interaction.editReply(
+          `Personal timezones are disabled. GM resets at **${String(config.gm.resetHour).padStart(2, '0')}:00 ${config.gm.timezone}** for everyone.`
+        );
+      }
+
+      const zone = interaction.options.getString('zone')?.trim();
+      if (!isValidTimeZone(zone)) {
+        return interaction.editReply('❌ Unknown timezone. Use an IANA name such as `Europe/Berlin` or `America/New_York`.');
+      }
+
+      const userDoc = await User.findOneAndUpdate(
+        { discordId: interaction.user.id },
+        { $setOnInsert: { username: interaction.user.username } },
+        { new: true, upsert: true }
+      );
+
+      const lastChange = userDoc.preferences?.timezoneUpdatedAt;
+      if (lastChange) {
+        const nextChange = new Date(lastChange.getTime() + CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+        if (nextChange > new Date()) {
+          return interaction.editReply(
+            `You can change your timezone again <t:${Math.floor(nextChange.getTime() / 1000)}:R>.`
+          );
+        }
+      }
+
+      await User.updateOne(
+        { discordId: interaction.user.id },
+        { $set: { 'preferences.timezone': zone, 'preferences.timezoneUpdatedAt': new Date() } }
+      );
+
+      const nextReset = Math.floor(getNextReset(new Date(), zone, config.gm.resetHour).getTime() / 1000);
+      cmdLog.info('User set timezone', { zone });
+
+      return interaction.editReply(
+        `✅ Your timezone is now **${zone}**. Your GM day resets at ${String(config.gm.resetHour).padStart(2, '0')}:00 local time, next <t:${nextReset}:R>.`
+      );
+    } catch (error) {
+      captureException(error, { command: 'timezone', user: interaction.user.id });
+      cmdLog.error('Error in timezone command', { error: error.message });
+      return interaction.editReply('An error occurred while setting your timezone.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(timezoneCommand.name, timezoneCommand);
+
+module.exports = timezoneCommand;
@@ -0,0 +1,149 @@
+// src/commands/tracking.js
+const { EmbedBuilder, ChannelType } = require('discord.js');
+const TrackingRule = require('../models/TrackingRule');
+const checkAdmin = require('../utils/checkAdmin');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/validator');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+const { invalidateRules } = require('../utils/trackingRules');
+
+/**
+ * Tracking Command - per-channel and per-category counting rules (Admin only)
+ */
+const trackingCommand = {
+  name: 'tracking',
+  description: 'Exclude or weight channels for activity tracking (Admin only)',
+
+  /**
+   * Mention for a rule target
+   * @param {Object} rule - TrackingRule object
+   * @param {Object} guild - Discord guild
+   * @returns {string} Channel mention or category name
+   */
+  describeTarget(rule, guild) {
+    if (rule.targetType === 'category') {
+      const name = guild.channels.cache.get(rule.targetId)?.name || 'deleted category';
+      return `📁 **${name}**`;
+    }
+    return `<#${rule.targetId}>`;
+  },
+
+  /**
+   * All rules, categories first
+   * @param {Object} guild - Discord guild
+   * @returns {Promise<EmbedBuilder>} Discord embed
+   */
+  async buildRulesEmbed(guild) {
+    const rules = await TrackingRule.find({}, null, { lean: true, sort: { targetType: 1, createdAt: 1 } });
+
+    const lines = rules.map(rule => {
+      const effect = rule.excluded ? 'excluded' : `counts **${rule.weight}x**`;
+      return `${this.describeTarget(rule, guild)} · ${effect}`;
+    });
+
+    return new EmbedBuilder()
+      .setTitle('📊 Activity Tracking Rules')
+      .setColor('Blurple')
+      .setDescription(lines.join('\n') || 'No rules; every channel counts normally.')
+      .setFooter({ text: 'Channel rules override their category · threads follow their parent channel' });
+  },
+
+  /**
+   * Create or replace the rule for the target channel or category
+   * @returns {Promise<string>} Confirmation message
+   */
+  async setRule(interaction, fields) {
+    const target = interaction.options.getChannel('target');
+    const targetType = target.type === ChannelType.GuildCategory ? 'category' : 'channel';
+
+    if (target.isThread?.()) {
+      throw new ValidationError('Threads follow their parent channel; set the rule on the channel instead', 'target');
+    }
+
+    await TrackingRule.findOneAndUpdate(
+      { targetId: target.id },
+      { $set: { targetType, excluded: false, weight: 1, ...fields, updatedBy: interaction.user.id } },
+      { upsert: true, runValidators: true }
+    );
+
+    const label = targetType === 'category' ? `category **${target.name}**` : `<#${target.id}>`;
+    return fields.excluded
+      ? `Activity in ${label} is no longer counted.`
+      : `Messages in ${label} now count **${fields.weight}x**.`;
+  },
+
+  /**
+   * Remove the rule for the target
+   * @returns {Promise<string>} Confirmation message
+   */
+  async resetRule(interaction) {
+    const target = interaction.options.getChannel('target');
+    const result = await TrackingRule.deleteOne({ targetId: target.id });
+
+    if (!result.deletedCount) {
+      throw new ValidationError(`There is no rule for ${target.name}`, 'target');
+    }
+
+    return `Removed the rule for **${target.name}**.`;
+  },
+
+  /**
+   * Execute the tracking command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'tracking',
+      userId: interaction.user.id
+    });
+
+    if (!(await checkAdmin(interaction))) return;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'list') {
+        return interaction.editReply({ embeds: [await this.buildRulesEmbed(interaction.guild)] });
+      }
+
+      let message;
+      switch (subcommand) {
+        case 'exclude':
+          message = await this.setRule(interaction, { excluded: true });
+          break;
+        case 'weight':
+          message = await this.setRule(interaction, { weight: interaction.options.getInteger('weight') });
+          break;
+        case 'reset':
+          message = await this.resetRule(interaction);
+          break;
+        default:
+          return interaction.editReply('Unknown subcommand.');
+      }
+
+      invalidateRules();
+
+      cmdLog.info('Updated tracking rules', { subcommand });
+
+      return interaction.editReply({
+        content: `✅ ${message}`,
+        embeds: [await this.buildRulesEmbed(interaction.guild)]
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return interaction.editReply(`📋 ${error.message}`);
+      }
+
+      captureException(error, { command: 'tracking', user: interaction.user.id });
+      cmdLog.error('Error in tracking command', { error: error.message });
+      return interaction.editReply('An error occurred while updating tracking rules.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(trackingCommand.name, trackingCommand);
+
+module.exports = trackingCommand;
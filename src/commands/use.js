@@ -0,0 +1,90 @@
+// src/commands/use.js
+const Inventory = require('../models/Inventory');
+const logger = require('../utils/logger');
+const commandRegistry = require('../utils/commandRegistry');
+const itemHandlerRegistry = require('../utils/itemHandlerRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Use Command - consume an item from your inventory
+ */
+const useCommand = {
+  name: 'use',
+  description: 'Use a consumable from your inventory',
+
+  /**
+   * Execute the use command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'use',
+      userId: interaction.user.id
+    });
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const itemName = interaction.options.getString('item').trim();
+
+      const entry = await Inventory.findOne({
+        discordId: interaction.user.id,
+        itemType: 'consumable',
+        itemName: new RegExp(`^${escapeRegex(itemName)}$`, 'i'),
+        quantity: { $gt: 0 }
+      });
+
+      if (!entry) {
+        return interaction.editReply(`❌ You don't have any **${itemName}**. Check \`/inventory\`.`);
+      }
+
+      const handler = entry.effect ? itemHandlerRegistry.get(entry.effect) : null;
+      if (!handler) {
+        return interaction.editReply(`**${entry.itemName}** can't be used.`);
+      }
+
+      // Take the item first so concurrent uses can't spend the same unit twice
+      const taken = await Inventory.takeOne(entry._id);
+      if (!taken) {
+        return interaction.editReply(`❌ You don't have any **${entry.itemName}** left.`);
+      }
+
+      let result;
+      try {
+        result = await handler.use({ interaction, entry: taken });
+      } catch (err) {
+        await Inventory.updateOne({ _id: entry._id }, { $inc: { quantity: 1 } });
+        throw err;
+      }
+
+      if (!result.consumed) {
+        await Inventory.updateOne({ _id: entry._id }, { $inc: { quantity: 1 } });
+        return interaction.editReply(`❌ ${result.message}`);
+      }
+
+      cmdLog.info('User used item', {
+        itemId: entry.itemId,
+        effect: entry.effect,
+        remaining: taken.quantity
+      });
+
+      return interaction.editReply(`${result.message}\nYou have **${taken.quantity}** left.`);
+    } catch (error) {
+      captureException(error, { command: 'use', user: interaction.user.id });
+      cmdLog.error('Error in use command', { error: error.message });
+      return interaction.editReply('An error occurred while using the item. It has been returned to your inventory.');
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(useCommand.name, useCommand);
+
+module.exports = useCommand;
@@ -0,0 +1,189 @@
+// src/commands/wallet.js
+const {
+  EmbedBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ActionRowBuilder,
+  PermissionsBitField
+} = require('discord.js');
+const User = require('../models/User');
+const CoinTransaction = require('../models/CoinTransaction');
+const { TRANSACTION_SOURCE_LABELS } = require('../models/CoinTransaction');
+const logger = require('../utils/logger');
+const commandRegistry = require('../utils/commandRegistry');
+const { captureException } = require('../utils/errorMonitoring');
+
+const HISTORY_PAGE_SIZE = 10;
+
+/**
+ * Wallet Command - balance, transaction history and earnings breakdown
+ */
+const walletCommand = {
+  name: 'wallet',
+  description: 'View your coin balance, history and where your coins came from',
+
+  /**
+   * Resolve whose wallet to show. Only admins may look at someone else's.
+   * @param {Object} interaction - Discord interaction
+   * @returns {Object} Discord user to show the wallet for
+   */
+  resolveTarget(interaction) {
+    const requested = interaction.options.getUser('user');
+    const isAdmin = interaction.member.permissions.has(PermissionsBitField.Flags.Administrator);
+
+    return requested && isAdmin ? requested : interaction.user;
+  },
+
+  /**
+   * Format a single ledger entry as one line
+   * @param {Object} entry - CoinTransaction document
+   * @returns {string} Display line
+   */
+  formatEntry(entry) {
+    const timestamp = Math.floor(new Date(entry.createdAt).getTime() / 1000);
+    const sign = entry.amount > 0 ? '+' : '';
+    const label = TRANSACTION_SOURCE_LABELS[entry.source] || entry.source;
+    const reason = entry.reason ? ` — ${entry.reason}` : '';
+
+    return `<t:${timestamp}:d> **${sign}${entry.amount}** · ${label}${reason} · balance ${entry.balanceAfter}`;
+  },
+
+  /**
+   * Build one page of transaction history with Previous/Next buttons
+   * @param {string} discordId - Whose history to show
+   * @param {number} page - Zero-based page index
+   * @returns {Promise<Object>} Reply payload
+   */
+  async buildHistoryPage(discordId, page = 0) {
+    const { entries, total, pages } = await CoinTransaction.findHistory(discordId, page, HISTORY_PAGE_SIZE);
+    const currentPage = Math.min(Math.max(page, 0), pages - 1);
+
+    const embed = new EmbedBuilder()
+      .setTitle('📜 Wallet History')
+      .setColor('Blue')
+      .setDescription(
+        entries.length
+          ? entries.map(entry => this.formatEntry(entry)).join('\n')
+          : `<@${discordId}> has no transactions yet.`
+      )
+      .setFooter({ text: `Page ${currentPage + 1} of ${pages} · ${total} transaction(s)` });
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`wallet_history_${discordId}_${currentPage - 1}`)
+        .setLabel('Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(currentPage <= 0),
+      new ButtonBuilder()
+        .setCustomId(`wallet_history_${discordId}_${currentPage + 1}`)
+        .setLabel('Next')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(currentPage >= pages - 1)
+    );
+
+    return { embeds: [embed], components: [row] };
+  },
+
+  /**
+   * Show the current balance
+   */
+  async showBalance(interaction, targetUser) {
+    const userDoc = await User.findOne({ discordId: targetUser.id }, 'coins', { lean: true });
+    const balance = userDoc?.coins || 0;
+
+    const embed = new EmbedBuilder()
+      .setTitle('👛 Wallet')
+      .setColor('Green')
+      .setDescription(`<@${targetUser.id}> has **${balance.toLocaleString()}** coins.`);
+
+    return interaction.editReply({ embeds: [embed] });
+  },
+
+  /**
+   * Show earnings and spending grouped by source
+   */
+  async showBreakdown(interaction, targetUser) {
+    const rows = await CoinTransaction.getBreakdown(targetUser.id);
+
+    if (!rows.length) {
+      return interaction.editReply(`<@${targetUser.id}> has no transactions yet.`);
+    }
+
+    const earnedLines = rows
+      .filter(row => row.earned > 0)
+      .map(row => `${TRANSACTION_SOURCE_LABELS[row._id] || row._id}: **${row.earned.toLocaleString()}**`);
+
+    const spentLines = rows
+      .filter(row => row.spent > 0)
+      .map(row => `${TRANSACTION_SOURCE_LABELS[row._id] || row._id}: **${row.spent.toLocaleString()}**`);
+
+    const totalEarned = rows.reduce((sum, row) => sum + row.earned, 0);
+    const totalSpent = rows.reduce((sum, row) => sum + row.spent, 0);
+
+    const embed = new EmbedBuilder()
+      .setTitle('📊 Coin Breakdown')
+      .setColor('Gold')
+      .setDescription(`Where <@${targetUser.id}>'s coins came from and went.`)
+      .addFields(
+        { name: `Earned (${totalEarned.toLocaleString()})`, value: earnedLines.join('\n') || 'Nothing yet', inline: true },
+        { name: `Spent (${totalSpent.toLocaleString()})`, value: spentLines.join('\n') || 'Nothing yet', inline: true }
+      );
+
+    return interaction.editReply({ embeds: [embed] });
+  },
+
+  /**
+   * Execute the wallet command
+   * @param {Object} interaction - Discord interaction
+   */
+  async execute(interaction) {
+    const cmdLog = logger.withContext({
+      command: 'wallet',
+      userId: interaction.user.id
+    });
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const targetUser = this.resolveTarget(interaction);
+
+      if (subcommand === 'history') {
+        return interaction.editReply(await this.buildHistoryPage(targetUser.id, 0));
+      }
+
+      if (subcommand === 'breakdown') {
+        return this.showBreakdown(interaction, targetUser);
+      }
+
+      return this.showBalance(interaction, targetUser);
+    } catch (error) {
+      captureException(error, { command: 'wallet', user: interaction.user.id });
+      cmdLog.error('Error in wallet command', { error: error.message });
+      return interaction.editReply('An error occurred while loading the wallet.');
+    }
+  },
+
+  /**
+   * Handle Previous/Next buttons on the history view
+   * @param {Object} interaction - Button interaction
+   */
+  async handleHistoryButton(interaction) {
+    // customId: wallet_history_<discordId>_<page>
+    const [, , discordId, page] = interaction.customId.split('_');
+
+    try {
+      const payload = await this.buildHistoryPage(discordId, parseInt(page, 10) || 0);
+      return interaction.update(payload);
+    } catch (error) {
+      captureException(error, { area: 'wallet-history', user: interaction.user.id });
+      logger.error('Error paging wallet history', { error: error.message });
+      return interaction.reply({ content: 'An error occurred while loading the history.', ephemeral: true });
+    }
+  }
+};
+
+// Register command
+commandRegistry.register(walletCommand.name, walletCommand);
+
+module.exports = walletCommand;
@@ -28,7 +28,70 @@ const config = {
     channelId: process.env.RADIO_CHANNEL_ID
   },
   marketplace: {
-    announceChannelId: process.env.MARKETPLACE_ANNOUNCE_CHANNEL
+    announceChannelId: process.env.MARKETPLACE_ANNOUNCE_CHANNEL,
+    // Where staff are pinged to hand out custom items
+    fulfilmentChannelId: process.env.MARKETPLACE_FULFILMENT_CHANNEL,
+    staffRoleId: process.env.MARKETPLACE_STAFF_ROLE_ID
+  },
+  gm: {
+    // "minStreakDays:multiplier" pairs, e.g. "3:1.25,7:1.5"
+    streakMultipliers: (process.env.GM_STREAK_MULTIPLIERS || '1:1,3:1.25,7:1.5,14:1.75,30:2')
+      .split(',')
+      .map(pair => {
+        const [days, multiplier] = pair.split(':').map(Number);
+        return { days, multiplier };
+      })
+      .filter(tier => tier.days > 0 && tier.multiplier > 0)
+      .sort((a, b) => a.days - b.days),
+    // GM day resets at this local hour in this timezone
+    resetHour: parseInt(process.env.GM_RESET_HOUR ?? '0', 10),
+    timezone: process.env.GM_TIMEZONE || 'UTC',
+    allowUserTimezone: process.env.GM_ALLOW_USER_TIMEZONE !== 'false',
+    maxStreakFreezes: parseInt(process.env.GM_MAX_STREAK_FREEZES ?? '3', 10)
+  },
+  leaderboard: {
+    // Weekly results post; prizes are paid to ranks 1..N in order, e.g. "500,250,100"
+    weeklyChannelId: process.env.WEEKLY_LEADERBOARD_CHANNEL,
+    weeklyMetric: process.env.WEEKLY_LEADERBOARD_METRIC || 'messages',
+    weeklySize: parseInt(process.env.WEEKLY_LEADERBOARD_SIZE ?? '10', 10),
+    weeklyPrizes: (process.env.WEEKLY_LEADERBOARD_PRIZES || '')
+      .split(',')
+      .map(amount => parseInt(amount, 10))
+      .filter(amount => amount > 0),
+    // Given to last week's top chatter (most messages) and taken from the previous holder
+    topChatterRoleId: process.env.TOP_CHATTER_ROLE_ID
+  },
+  voice: {
+    // Which voice minutes count toward stats
+    excludeDeafened: process.env.VOICE_EXCLUDE_DEAFENED !== 'false',
+    excludeMuted: process.env.VOICE_EXCLUDE_MUTED === 'true',
+    excludeAfkChannel: process.env.VOICE_EXCLUDE_AFK !== 'false',
+    // Other humans required in the channel; 0 counts users alone
+    minOtherHumans: parseInt(process.env.VOICE_MIN_OTHER_HUMANS ?? '1', 10)
+  },
+  antiFarming: {
+    // Activity above these rates in a rolling minute isn't counted
+    messagesPerMinute: parseInt(process.env.ANTIFARM_MESSAGES_PER_MINUTE ?? '8', 10),
+    reactionsPerMinute: parseInt(process.env.ANTIFARM_REACTIONS_PER_MINUTE ?? '15', 10),
+    // Shorter messages (after trimming) don't count, unless they carry an attachment
+    minMessageLength: parseInt(process.env.ANTIFARM_MIN_MESSAGE_LENGTH ?? '3', 10),
+    // Repeating the same text within this window doesn't count
+    duplicateWindowMinutes: parseInt(process.env.ANTIFARM_DUPLICATE_WINDOW_MINUTES ?? '10', 10)
+  },
+  milestones: {
+    // Public "reached a milestone" posts; none when unset
+    announceChannelId: process.env.MILESTONE_ANNOUNCE_CHANNEL
+  },
+  stats: {
+    // Append-only journal of unflushed stat increments, replayed after a crash
+    journalPath: process.env.STATS_JOURNAL_PATH || path.join(__dirname, '../../data/stats-journal.log')
+  },
+  economy: {
+    transfers: {
+      dailyLimit: parseInt(process.env.PAY_DAILY_LIMIT ?? '1000', 10),
+      minAccountAgeDays: parseInt(process.env.PAY_MIN_ACCOUNT_AGE_DAYS ?? '7', 10),
+      taxPercent: parseFloat(process.env.PAY_TAX_PERCENT ?? '0')
+    }
   },
   server: {
     port: process.env.PORT || 3000,
@@ -0,0 +1,67 @@
+// Migration: Coin Transaction Ledger
+// Created at: 2026-10-19T00:00:00.000Z
+
+/**
+ * Apply the migration
+ * Creates ledger indexes and records an opening balance for every user
+ * so that existing balances reconcile against the ledger
+ */
+exports.up = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+
+    logger.info('Running migration: coin-transaction-ledger');
+
+    const transactions = mongoose.connection.collection('cointransactions');
+
+    await transactions.createIndexes([
+      { key: { discordId: 1, createdAt: -1 }, name: 'idx_discord_id_created_at' },
+      { key: { source: 1 }, name: 'idx_source' },
+      { key: { referenceId: 1 }, sparse: true, name: 'idx_reference_id' }
+    ]);
+
+    // Users who already have ledger entries were written after the ledger went live
+    const usersWithEntries = await transactions.distinct('discordId');
+
+    const users = await mongoose.connection.collection('users').find(
+      { coins: { $ne: 0 }, discordId: { $nin: usersWithEntries } },
+      { projection: { discordId: 1, coins: 1 } }
+    ).toArray();
+
+    if (users.length > 0) {
+      const now = new Date();
+      await transactions.insertMany(users.map(user => ({
+        discordId: user.discordId,
+        amount: user.coins,
+        balanceAfter: user.coins,
+        source: 'opening_balance',
+        reason: 'Balance before the ledger was introduced',
+        actorId: null,
+        referenceId: null,
+        createdAt: now
+      })));
+    }
+
+    logger.info(`Recorded opening balances for ${users.length} users`);
+    logger.info('Migration completed: coin-transaction-ledger');
+  };
+
+  /**
+   * Revert the migration
+   * Removes the opening balance entries and the ledger indexes
+   */
+  exports.down = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+
+    logger.info('Reverting migration: coin-transaction-ledger');
+
+    const transactions = mongoose.connection.collection('cointransactions');
+
+    const result = await transactions.deleteMany({ source: 'opening_balance' });
+    logger.info(`Removed ${result.deletedCount} opening balance entries`);
+
+    await transactions.dropIndexes();
+
+    logger.info('Migration reverted: coin-transaction-ledger');
+  };
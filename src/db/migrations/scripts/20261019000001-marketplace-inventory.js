@@ -0,0 +1,44 @@
+// Migration: Marketplace Inventory
+// Created at: 2026-10-19T00:00:01.000Z
+
+/**
+ * Apply the migration
+ * Creates inventory indexes and marks existing marketplace items as
+ * permanent role items with no stock or purchase limits
+ */
+exports.up = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+
+    logger.info('Running migration: marketplace-inventory');
+
+    const inventory = mongoose.connection.collection('inventories');
+
+    await inventory.createIndexes([
+      { key: { discordId: 1, itemId: 1 }, unique: true, name: 'idx_discord_id_item_id' },
+      { key: { expiresAt: 1 }, sparse: true, name: 'idx_expires_at' }
+    ]);
+
+    const result = await mongoose.connection.collection('marketplaceitems').updateMany(
+      { type: { $exists: false } },
+      { $set: { type: 'role', stock: null, perUserLimit: null } }
+    );
+
+    logger.info(`Updated ${result.modifiedCount} marketplace items`);
+    logger.info('Migration completed: marketplace-inventory');
+  };
+
+  /**
+   * Revert the migration
+   * Drops the inventory indexes; item fields are left in place
+   */
+  exports.down = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+
+    logger.info('Reverting migration: marketplace-inventory');
+
+    await mongoose.connection.collection('inventories').dropIndexes();
+
+    logger.info('Migration reverted: marketplace-inventory');
+  };
@@ -0,0 +1,54 @@
+// Migration: Activity Daily
+// Created at: 2026-10-19T00:00:02.000Z
+
+/**
+ * Apply the migration
+ * Creates the daily activity rollup indexes, including the TTL index that
+ * enforces the retention period, and the ledger index used for totals by
+ * source over a time window
+ */
+exports.up = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+    const { RETENTION_DAYS } = require('../../../models/ActivityDaily');
+
+    logger.info('Running migration: activity-daily');
+
+    const daily = mongoose.connection.collection('activitydailies');
+
+    // Earlier builds of the model created these with default names and no TTL
+    const existing = await daily.indexes().catch(() => []);
+    for (const name of ['discordId_1_day_1', 'day_1']) {
+      if (existing.some(index => index.name === name)) {
+        await daily.dropIndex(name);
+      }
+    }
+
+    await daily.createIndexes([
+      { key: { discordId: 1, day: 1 }, unique: true, name: 'idx_discord_id_day' },
+      { key: { day: 1 }, expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, name: 'idx_day_ttl' }
+    ]);
+
+    await mongoose.connection.collection('cointransactions').createIndexes([
+      { key: { source: 1, createdAt: -1 }, name: 'idx_source_created_at' }
+    ]);
+
+    logger.info(`Activity rollups are kept for ${RETENTION_DAYS} days`);
+    logger.info('Migration completed: activity-daily');
+  };
+
+  /**
+   * Revert the migration
+   * Drops the indexes; existing rollups are left in place
+   */
+  exports.down = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+
+    logger.info('Reverting migration: activity-daily');
+
+    await mongoose.connection.collection('activitydailies').dropIndexes();
+    await mongoose.connection.collection('cointransactions').dropIndex('idx_source_created_at');
+
+    logger.info('Migration reverted: activity-daily');
+  };
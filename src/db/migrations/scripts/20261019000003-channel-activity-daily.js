@@ -0,0 +1,37 @@
+// Migration: Channel Activity Daily
+// Created at: 2026-10-19T00:00:03.000Z
+
+/**
+ * Apply the migration
+ * Creates the per-channel daily rollup indexes, including the TTL index
+ * that enforces the retention period
+ */
+exports.up = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+    const { RETENTION_DAYS } = require('../../../models/ChannelActivityDaily');
+
+    logger.info('Running migration: channel-activity-daily');
+
+    await mongoose.connection.collection('channelactivitydailies').createIndexes([
+      { key: { channelId: 1, day: 1 }, unique: true, name: 'idx_channel_id_day' },
+      { key: { day: 1 }, expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, name: 'idx_day_ttl' }
+    ]);
+
+    logger.info('Migration completed: channel-activity-daily');
+  };
+
+  /**
+   * Revert the migration
+   * Drops the indexes; existing rollups are left in place
+   */
+  exports.down = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+
+    logger.info('Reverting migration: channel-activity-daily');
+
+    await mongoose.connection.collection('channelactivitydailies').dropIndexes();
+
+    logger.info('Migration reverted: channel-activity-daily');
+  };
@@ -0,0 +1,35 @@
+// Migration: Voice Sessions
+// Created at: 2026-10-19T00:00:04.000Z
+
+/**
+ * Apply the migration
+ * Creates the voice session indexes
+ */
+exports.up = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+
+    logger.info('Running migration: voice-sessions');
+
+    await mongoose.connection.collection('voicesessions').createIndexes([
+      { key: { discordId: 1, durationMinutes: -1 }, name: 'idx_discord_id_duration' },
+      { key: { leftAt: 1 }, name: 'idx_left_at' }
+    ]);
+
+    logger.info('Migration completed: voice-sessions');
+  };
+
+  /**
+   * Revert the migration
+   * Drops the indexes; sessions are left in place
+   */
+  exports.down = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+
+    logger.info('Reverting migration: voice-sessions');
+
+    await mongoose.connection.collection('voicesessions').dropIndexes();
+
+    logger.info('Migration reverted: voice-sessions');
+  };
@@ -0,0 +1,37 @@
+// Migration: Stats Batches
+// Created at: 2026-10-19T00:00:05.000Z
+
+/**
+ * Apply the migration
+ * Creates the staging indexes for stat flushes, including the TTL index
+ * that removes applied batches
+ */
+exports.up = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+    const { RETENTION_DAYS } = require('../../../models/StatsBatch');
+
+    logger.info('Running migration: stats-batches');
+
+    await mongoose.connection.collection('statsbatches').createIndexes([
+      { key: { status: 1, _id: 1 }, name: 'idx_status_id' },
+      { key: { appliedAt: 1 }, expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, name: 'idx_applied_at_ttl' }
+    ]);
+
+    logger.info('Migration completed: stats-batches');
+  };
+
+  /**
+   * Revert the migration
+   * Drops the indexes; staged batches are left in place
+   */
+  exports.down = async function() {
+    const mongoose = require('mongoose');
+    const logger = require('../../../utils/logger');
+
+    logger.info('Reverting migration: stats-batches');
+
+    await mongoose.connection.collection('statsbatches').dropIndexes();
+
+    logger.info('Migration reverted: stats-batches');
+  };
@@ -0,0 +1,97 @@
+// Migration: Milestones
+// Created at: 2026-10-19T00:00:06.000Z
+
+// The milestones that used to be hardcoded in milestoneCheck, with the
+// User counter each one is measured against
+const DEFAULT_MILESTONES = [
+  { metric: 'messages', field: 'messagesCount', threshold: 50, reward: 1 },
+  { metric: 'messages', field: 'messagesCount', threshold: 100, reward: 2 },
+  { metric: 'reactions', field: 'reactionsCount', threshold: 50, reward: 1 },
+  { metric: 'voice', field: 'voiceMinutes', threshold: 30, reward: 1 }
+];
+
+/**
+ * Apply the migration
+ * Creates milestone indexes, seeds the previously hardcoded milestones,
+ * records milestone rewards already in the ledger as claims and then pays
+ * the catch-up award to everyone past a milestone the old exact-match check
+ * skipped. Rewards from before the coin ledger existed left no trace, so
+ * those members may be paid once more.
+ */
+exports.up = async function() {
+  const mongoose = require('mongoose');
+  const logger = require('../../../utils/logger');
+
+  logger.info('Running migration: milestones');
+
+  const milestones = mongoose.connection.collection('milestones');
+  const claims = mongoose.connection.collection('milestoneclaims');
+
+  await milestones.createIndexes([
+    { key: { metric: 1, threshold: 1 }, unique: true, name: 'idx_metric_threshold' }
+  ]);
+  await claims.createIndexes([
+    { key: { discordId: 1, metric: 1, threshold: 1 }, unique: true, name: 'idx_discord_id_metric_threshold' }
+  ]);
+
+  if ((await milestones.countDocuments()) === 0) {
+    const now = new Date();
+    await milestones.insertMany(
+      DEFAULT_MILESTONES.map(({ metric, threshold, reward }) => ({
+        metric, threshold, reward, updatedBy: null, createdAt: now, updatedAt: now
+      }))
+    );
+    logger.info(`Seeded ${DEFAULT_MILESTONES.length} default milestones`);
+  }
+
+  // Rewards in the ledger (since it was added) keep their amount and date
+  const paid = await mongoose.connection.collection('cointransactions')
+    .find({ source: 'milestone', referenceId: { $regex: /^[a-z]+:\d+$/ } })
+    .project({ discordId: 1, referenceId: 1, amount: 1, createdAt: 1 })
+    .toArray();
+
+  const ops = paid.map(entry => {
+    const [metric, threshold] = entry.referenceId.split(':');
+    return {
+      updateOne: {
+        filter: { discordId: entry.discordId, metric, threshold: Number(threshold) },
+        update: { $setOnInsert: { reward: entry.amount, claimedAt: entry.createdAt } },
+        upsert: true
+      }
+    };
+  });
+
+  if (ops.length > 0) {
+    await claims.bulkWrite(ops, { ordered: false });
+  }
+  logger.info(`Recorded ${ops.length} milestone claims from the ledger`);
+
+  // Everyone else already past a milestone is paid now, exactly as the stats flush would
+  const User = require('../../../models/User');
+  const checkMilestones = require('../../../utils/milestoneCheck');
+
+  const pastDefaults = DEFAULT_MILESTONES.map(({ field, threshold }) => ({ [field]: { $gte: threshold } }));
+  let awarded = 0;
+  for await (const userDoc of User.find({ $or: pastDefaults }).cursor()) {
+    awarded += (await checkMilestones(userDoc)).length;
+  }
+
+  logger.info(`Paid ${awarded} catch-up milestone reward(s)`);
+  logger.info('Migration completed: milestones');
+};
+
+/**
+ * Revert the migration
+ * Drops the indexes; milestones and claims are left in place
+ */
+exports.down = async function() {
+  const mongoose = require('mongoose');
+  const logger = require('../../../utils/logger');
+
+  logger.info('Reverting migration: milestones');
+
+  await mongoose.connection.collection('milestones').dropIndexes();
+  await mongoose.connection.collection('milestoneclaims').dropIndexes();
+
+  logger.info('Migration reverted: milestones');
+};
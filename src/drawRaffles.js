@@ -0,0 +1,117 @@
+// src/drawRaffles.js
+const Raffle = require('./models/Raffle');
+const RaffleTicket = require('./models/RaffleTicket');
+const raffleCommand = require('./commands/raffle');
+const { pickWinners } = require('./utils/raffleDraw');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  transports: [new winston.transports.Console({ format: winston.format.simple() })],
+});
+
+// A raffle still drawing after this long was interrupted and is drawn again
+const STALE_DRAWING_MS = 10 * 60 * 1000;
+
+// How long a draw waits for tickets that are paid for but not written yet
+const TICKET_WAIT_ATTEMPTS = 10;
+const TICKET_WAIT_MS = 1000;
+
+/**
+ * Wait until every sold ticket has its document. A purchase counts the
+ * sale while the raffle is open and writes the ticket right after, so a
+ * raffle claimed in between would otherwise be drawn without it.
+ */
+async function waitForTickets(raffle) {
+  for (let attempt = 0; attempt < TICKET_WAIT_ATTEMPTS; attempt++) {
+    const issued = await RaffleTicket.countDocuments({ raffleId: raffle._id });
+    if (issued >= raffle.ticketsSold) return;
+    await new Promise(resolve => setTimeout(resolve, TICKET_WAIT_MS));
+  }
+
+  // A ticket whose write failed was refunded by the purchase, but may still be counted as sold
+  logger.warn(`[Scheduler] Raffle ${raffle._id} has fewer tickets than the ${raffle.ticketsSold} sold; drawing those issued.`);
+}
+
+/**
+ * Draw one raffle that has been claimed for drawing
+ */
+async function drawRaffle(client, raffle) {
+  await waitForTickets(raffle);
+
+  const tickets = await RaffleTicket.find({ raffleId: raffle._id, refunded: false })
+    .sort({ ticketNumber: 1 })
+    .lean();
+
+  const winners = pickWinners(raffle.seed, String(raffle._id), tickets, raffle.winnerCount);
+
+  const drawn = await Raffle.transition(raffle._id, 'drawing', 'drawn', {
+    winners,
+    revealedSeed: raffle.seed,
+    drawnAt: new Date()
+  });
+
+  const message = await raffleCommand.refreshMessage(client, drawn);
+
+  const result = winners.length
+    ? `🎉 The raffle for **${raffle.prize}** has been drawn! Winner(s): ${winners.map(w => `<@${w.discordId}> (ticket #${w.ticketNumber})`).join(', ')}`
+    : `The raffle for **${raffle.prize}** ended with no tickets sold.`;
+
+  // Reply to the raffle post so the result sits next to it, with everything needed to verify it
+  if (message) {
+    const audit = await raffleCommand.buildAudit(drawn);
+    await message.reply({
+      content: `${result}\n${audit.content}`,
+      files: audit.files,
+      allowedMentions: { users: winners.map(w => w.discordId) }
+    });
+  }
+
+  logger.info(`[Scheduler] Drew raffle ${raffle._id}: ${winners.length} winner(s) from ${tickets.length} ticket(s).`);
+}
+
+/**
+ * drawRaffles()
+ *
+ * Draws raffles whose draw time has passed. Each raffle is claimed
+ * (open -> drawing) first so ticket sales stop and overlapping runs
+ * can't draw it twice. Raffles left in `drawing` by an interrupted run
+ * are drawn again.
+ */
+async function drawRaffles() {
+  const client = global.discordClient;
+  if (!client?.isReady()) return;
+
+  try {
+    const due = await Raffle.findDue();
+
+    for (const raffle of due) {
+      const claimed = await Raffle.transition(raffle._id, 'open', 'drawing');
+      if (!claimed) continue;
+
+      try {
+        await drawRaffle(client, claimed);
+      } catch (err) {
+        logger.error(`[Scheduler] Failed to draw raffle ${raffle._id}:`, err);
+      }
+    }
+
+    // Draw again what a crash or restart left half-drawn; the seed makes the result the same
+    const before = new Date(Date.now() - STALE_DRAWING_MS);
+    for (const stale of await Raffle.findStaleDrawing(before)) {
+      const reclaimed = await Raffle.reclaimStale(stale._id, before);
+      if (!reclaimed) continue;
+
+      logger.warn(`[Scheduler] Retrying interrupted draw of raffle ${stale._id}.`);
+      try {
+        await drawRaffle(client, reclaimed);
+      } catch (err) {
+        logger.error(`[Scheduler] Failed to draw raffle ${stale._id}:`, err);
+      }
+    }
+  } catch (err) {
+    logger.error('[Scheduler] drawRaffles() error:', err);
+  }
+}
+
+module.exports = drawRaffles;
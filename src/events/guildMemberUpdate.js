@@ -2,6 +2,7 @@
 const { Events } = require('discord.js');
 const User = require('../models/User');
 const RewardRole = require('../models/RewardRole');
+const economy = require('../utils/economy');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -19,12 +20,6 @@ module.exports = {
       const addedRoles = [...newRoles].filter((r) => !oldRoles.has(r));
       if (!addedRoles.length) return;
 
-      let userDoc = await User.findOneAndUpdate(
-        { discordId: newMember.id },
-        { $setOnInsert: { username: newMember.user.username } },
-        { new: true, upsert: true }
-      );
-
       const allRewardRoles = await RewardRole.find({});
       const rewardMap = {};
       for (const rr of allRewardRoles) {
@@ -32,20 +27,38 @@ module.exports = {
       }
 
       let totalRewardGiven = 0;
-      userDoc.rewardedRoles = userDoc.rewardedRoles || [];
 
       for (const roleId of addedRoles) {
         if (!rewardMap[roleId]) continue; // not a reward role
-        if (userDoc.rewardedRoles.includes(roleId)) continue; // already rewarded
+
+        // Claim the role atomically so a role is only ever rewarded once
+        const claim = await User.updateOne(
+          { discordId: newMember.id, rewardedRoles: { $ne: roleId } },
+          {
+            $addToSet: { rewardedRoles: roleId },
+            $setOnInsert: { username: newMember.user.username },
+          },
+          { upsert: true }
+        ).catch((err) => {
+          // Duplicate key: the user exists and already has this role rewarded
+          if (err.code === 11000) return { modifiedCount: 0, upsertedCount: 0 };
+          throw err;
+        });
+
+        if (!claim.modifiedCount && !claim.upsertedCount) continue; // already rewarded
 
         const amount = rewardMap[roleId];
-        userDoc.coins += amount;
-        totalRewardGiven += amount;
-        userDoc.rewardedRoles.push(roleId);
+        const result = await economy.credit(newMember.id, amount, {
+          source: 'role_reward',
+          reason: 'Received a reward role',
+          referenceId: roleId,
+        });
+        if (result.success) {
+          totalRewardGiven += amount;
+        }
       }
 
       if (totalRewardGiven > 0) {
-        await userDoc.save();
         logger.info(`User ${newMember.id} gained new role(s). Awarded ${totalRewardGiven} coin(s).`);
       }
     } catch (err) {
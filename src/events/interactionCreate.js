@@ -4,6 +4,10 @@ const logger = require('../utils/logger');
 const commandRegistry = require('../utils/commandRegistry');
 const { captureException } = require('../utils/errorMonitoring');
 const marketplaceCommands = require('../commands/marketplace');
+const walletCommand = require('../commands/wallet');
+const auctionCommand = require('../commands/auction');
+const raffleCommand = require('../commands/raffle');
+const leaderboardCommand = require('../commands/leaderboard');
 
 /**
  * Interaction event handler to process all Discord interactions
@@ -47,10 +51,38 @@ module.exports = {
         const { customId } = interaction;
         contextLog.debug(`Processing button interaction: ${customId}`);
         
-        // Handle marketplace purchases
+        // Buy buttons on old marketplace posts ask for confirmation like the item menu
         if (customId.startsWith('purchase_')) {
-          const itemId = customId.split('_')[1];
-          return marketplaceCommands.processPurchase(interaction, itemId);
+          return marketplaceCommands.handleLegacyPurchaseButton(interaction);
+        }
+        
+        // Handle marketplace pagination and purchase confirmation
+        if (customId.startsWith('marketplace_page:')) {
+          return marketplaceCommands.handlePageButton(interaction);
+        }
+        
+        if (customId.startsWith('marketplace_confirm:') || customId === 'marketplace_cancel') {
+          return marketplaceCommands.handleConfirmButton(interaction);
+        }
+        
+        // Handle auction bids (opens a modal)
+        if (customId.startsWith('auction_bid:')) {
+          return auctionCommand.handleBidButton(interaction);
+        }
+        
+        // Handle raffle ticket purchases
+        if (customId.startsWith('raffle_ticket:')) {
+          return raffleCommand.handleTicketButton(interaction);
+        }
+        
+        // Handle leaderboard pagination
+        if (customId.startsWith('leaderboard_page:')) {
+          return leaderboardCommand.handlePageButton(interaction);
+        }
+        
+        // Handle wallet history pagination
+        if (customId.startsWith('wallet_history_')) {
+          return walletCommand.handleHistoryButton(interaction);
         }
         
         // Add handling for other button types as needed
@@ -61,6 +93,15 @@ module.exports = {
         const { customId } = interaction;
         contextLog.debug(`Processing select menu: ${customId}`);
         
+        // Handle marketplace browsing
+        if (customId === 'marketplace_category') {
+          return marketplaceCommands.handleCategorySelect(interaction);
+        }
+        
+        if (customId === 'marketplace_item') {
+          return marketplaceCommands.handleItemSelect(interaction);
+        }
+        
         // Add handling for select menus as needed
       }
       // Handle modal submissions
@@ -68,6 +109,10 @@ module.exports = {
         const { customId } = interaction;
         contextLog.debug(`Processing modal submission: ${customId}`);
         
+        if (customId.startsWith('auction_bid_modal:')) {
+          return auctionCommand.handleBidModal(interaction);
+        }
+        
         // Add handling for modals as needed
       }
       // Handle context menu interactions
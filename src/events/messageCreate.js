@@ -1,6 +1,8 @@
 // src/events/messageCreate.js
 const { Events } = require('discord.js');
-const { accumulateUserStat } = require('../utils/aggregator');
+const { accumulateUserStat, accumulateChannelStat } = require('../utils/aggregator');
+const { getChannelWeight, resolveTrackedChannel } = require('../utils/trackingRules');
+const { scoreMessage } = require('../utils/activityScoring');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -13,8 +15,23 @@ module.exports = {
   async execute(message) {
     try {
       if (message.author.bot) return;
-      // Accumulate stats
-      accumulateUserStat(message.author.id, 'messagesCount', 1);
+      if (!message.guildId) {
+        if (scoreMessage(message).counted) {
+          accumulateUserStat(message.author.id, 'messagesCount', 1);
+        }
+        return;
+      }
+
+      // Excluded channels weigh 0; every message still shows in channel analytics
+      const weight = await getChannelWeight(message.channel);
+      const { channelId } = resolveTrackedChannel(message.channel);
+      accumulateChannelStat(channelId, 'messages', 1);
+
+      // Spam, duplicates and very short messages don't earn stats
+      if (weight > 0 && scoreMessage(message).counted) {
+        accumulateUserStat(message.author.id, 'messagesCount', weight);
+        accumulateChannelStat(channelId, 'countedMessages', weight);
+      }
     } catch (error) {
       logger.error('Error in messageCreate:', error);
     }
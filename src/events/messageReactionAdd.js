@@ -1,6 +1,8 @@
 // src/events/messageReactionAdd.js
 const { Events } = require('discord.js');
 const { accumulateUserStat } = require('../utils/aggregator');
+const { getChannelWeight } = require('../utils/trackingRules');
+const { scoreReaction } = require('../utils/activityScoring');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -13,6 +15,11 @@ module.exports = {
   async execute(reaction, user) {
     try {
       if (user.bot) return;
+      // Reactions in excluded channels don't count; weights only apply to messages
+      const channel = reaction.message.channel;
+      if (channel && reaction.message.guildId && (await getChannelWeight(channel)) === 0) return;
+      // Rate-capped, and re-adding a removed reaction doesn't count again
+      if (!scoreReaction(user.id, reaction).counted) return;
       accumulateUserStat(user.id, 'reactionsCount', 1);
     } catch (error) {
       logger.error('Error in messageReactionAdd:', error);
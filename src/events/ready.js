@@ -2,7 +2,7 @@
 const { Events } = require('discord.js');
 const registerSlashCommands = require('../commands/registerCommands');
 const winston = require('winston');
-const { addUserToVoice } = require('../utils/voiceTracker');
+const { restoreVoiceSessions } = require('../utils/voiceSessions');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -19,25 +19,11 @@ module.exports = {
     await registerSlashCommands();
     logger.info('Slash commands registered.');
 
-    // Identify any users already in voice
-    for (const [guildId, guild] of client.guilds.cache) {
-      try {
-        const members = await guild.members.fetch();
-        let count = 0;
-        for (const [memberId, member] of members) {
-          if (member.voice.channel && !member.user.bot) {
-            addUserToVoice(memberId);
-            count++;
-          }
-        }
-        if (count > 0) {
-          logger.info(
-            `In guild "${guild.name}" (${guildId}), added ${count} user(s) to voice tracker on startup.`
-          );
-        }
-      } catch (err) {
-        logger.error(`Error fetching members in guild ${guildId}:`, err);
-      }
+    // Pick up users already in voice, continuing sessions from before the restart
+    try {
+      await restoreVoiceSessions(client);
+    } catch (err) {
+      logger.error('Error restoring voice sessions:', err);
     }
 
     logger.info('Bot is ready. Voice states have been initialized.');
@@ -1,7 +1,8 @@
 // src/events/voiceStateUpdate.js
 const { Events } = require('discord.js');
 const RadioManager = require('../utils/radioManager');
-const { addUserToVoice, removeUserFromVoice } = require('../utils/voiceTracker');
+const { updateVoiceState } = require('../utils/voiceTracker');
+const { recordVoiceChange } = require('../utils/voiceSessions');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -13,18 +14,8 @@ module.exports = {
   name: Events.VoiceStateUpdate,
   async execute(oldState, newState) {
     try {
-      // Voice aggregator logic
-      if (!oldState.channel && newState.channel) {
-        // user joined
-        addUserToVoice(newState.id, newState.member?.user?.bot);
-      } else if (oldState.channel && !newState.channel) {
-        // user left
-        removeUserFromVoice(oldState.id);
-      } else if (oldState.channelId && newState.channelId && oldState.channelId !== newState.channelId) {
-        // user switched channels
-        removeUserFromVoice(oldState.id);
-        addUserToVoice(newState.id, newState.member?.user?.bot);
-      }
+      // Voice session tracking: joins, leaves, moves and mute/deafen changes
+      await recordVoiceChange(updateVoiceState(newState));
 
       // Auto-radio logic (optional)
       const radioChannelId = process.env.RADIO_CHANNEL_ID;
@@ -0,0 +1,50 @@
+// src/expireTimedRoles.js
+const Inventory = require('./models/Inventory');
+const config = require('./config');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  transports: [new winston.transports.Console({ format: winston.format.simple() })],
+});
+
+/**
+ * expireTimedRoles()
+ *
+ * Removes roles bought as timed marketplace items once they run out,
+ * then deletes the inventory entry. Entries are kept (and retried on
+ * the next run) if Discord refuses the role removal.
+ */
+async function expireTimedRoles() {
+  if (!global.discordClient?.isReady()) return;
+
+  try {
+    const expired = await Inventory.findExpired();
+    if (!expired.length) return;
+
+    const guild = await global.discordClient.guilds.fetch(config.discord.guildId);
+    let removed = 0;
+
+    for (const entry of expired) {
+      try {
+        const member = await guild.members.fetch(entry.discordId).catch(() => null);
+
+        // Members who left the server have nothing to remove
+        if (member && entry.roleId && member.roles.cache.has(entry.roleId)) {
+          await member.roles.remove(entry.roleId, `Timed item "${entry.itemName}" expired`);
+        }
+
+        await Inventory.deleteOne({ _id: entry._id, expiresAt: entry.expiresAt });
+        removed++;
+      } catch (err) {
+        logger.error(`[Scheduler] Failed to expire timed role for ${entry.discordId}:`, err);
+      }
+    }
+
+    logger.info(`[Scheduler] Expired ${removed} timed role(s).`);
+  } catch (err) {
+    logger.error('[Scheduler] expireTimedRoles() error:', err);
+  }
+}
+
+module.exports = expireTimedRoles;
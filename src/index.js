@@ -10,6 +10,8 @@ const logger = require('./utils/logger');
 const { initErrorMonitoring, captureException } = require('./utils/errorMonitoring');
 const migrations = require('./db/migrations');
 const commandRegistry = require('./utils/commandRegistry');
+const itemHandlerRegistry = require('./utils/itemHandlerRegistry');
+const flushStatsToDB = require('./utils/flushStats');
 
 // Initialize error monitoring (Sentry)
 initErrorMonitoring();
@@ -200,6 +202,9 @@ class BotApplication {
     try {
       const commandCount = commandRegistry.loadCommands();
       this.contextLog.info(`Loaded ${commandCount} commands successfully`);
+
+      const handlerCount = itemHandlerRegistry.loadHandlers();
+      this.contextLog.info(`Loaded ${handlerCount} item handlers successfully`);
     } catch (error) {
       this.contextLog.error('Error loading commands', {
         error: error.message,
@@ -247,6 +252,24 @@ class BotApplication {
     }
   }
   
+  /**
+   * Reload stats that were accumulated but not flushed before the last exit
+   */
+  recoverStats() {
+    try {
+      const result = flushStatsToDB.recoverStats();
+      if (result.entries > 0 || result.batches > 0) {
+        this.contextLog.info('Recovered unflushed stats from the journal', result);
+      }
+    } catch (error) {
+      this.contextLog.error('Error recovering unflushed stats', {
+        error: error.message,
+        stack: error.stack
+      });
+      captureException(error, { area: 'stats-recovery' });
+    }
+  }
+  
   /**
    * Start the bot application
    */
@@ -260,6 +283,9 @@ class BotApplication {
       // Run migrations
       await this.runMigrations();
       
+      // Recover stats from before a crash, before new activity comes in
+      this.recoverStats();
+      
       // Initialize Express
       this.initExpress();
       
@@ -312,6 +338,10 @@ class BotApplication {
         this.contextLog.info('Discord client destroyed');
       }
       
+      // Final stats flush; anything it can't write stays journaled for the next start
+      const flushed = await flushStatsToDB();
+      this.contextLog.info(flushed ? 'Final stats flush complete' : 'Final stats flush incomplete; the rest is retried on next start');
+      
       // Remove PID file
       try {
         fs.unlinkSync(path.join(__dirname, '../.pid'));
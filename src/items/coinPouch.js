@@ -0,0 +1,34 @@
+// src/items/coinPouch.js
+const economy = require('../utils/economy');
+const itemHandlerRegistry = require('../utils/itemHandlerRegistry');
+
+/**
+ * Opens into the number of coins set as the item's effect value
+ */
+const coinPouchHandler = {
+  effect: 'coin_pouch',
+  description: 'Grants coins (effect value) when opened',
+  needsEffectValue: true,
+
+  async use({ interaction, entry }) {
+    const result = await economy.credit(interaction.user.id, entry.effectValue, {
+      username: interaction.user.username,
+      source: 'item_use',
+      reason: `Opened ${entry.itemName}`,
+      referenceId: entry.itemId
+    });
+
+    if (!result.success) {
+      return { consumed: false, message: `**${entry.itemName}** turned out to be empty.` };
+    }
+
+    return {
+      consumed: true,
+      message: `💰 You opened **${entry.itemName}** and found **${entry.effectValue}** coins! Balance: **${result.balance}**.`
+    };
+  }
+};
+
+itemHandlerRegistry.register(coinPouchHandler.effect, coinPouchHandler);
+
+module.exports = coinPouchHandler;
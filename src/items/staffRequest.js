@@ -0,0 +1,39 @@
+// src/items/staffRequest.js
+const config = require('../config');
+const itemHandlerRegistry = require('../utils/itemHandlerRegistry');
+
+/**
+ * Voucher redeemed by staff: using it pings them in the fulfilment channel
+ */
+const staffRequestHandler = {
+  effect: 'staff_request',
+  description: 'Pings staff to redeem the item',
+
+  async use({ interaction, entry }) {
+    const { fulfilmentChannelId, staffRoleId } = config.marketplace;
+
+    if (!fulfilmentChannelId) {
+      return { consumed: false, message: `**${entry.itemName}** can't be redeemed right now. Please contact staff.` };
+    }
+
+    const channel = await interaction.client.channels.fetch(fulfilmentChannelId);
+    const staffPing = staffRoleId ? `<@&${staffRoleId}> ` : '';
+
+    await channel.send({
+      content: `🛎️ ${staffPing}<@${interaction.user.id}> redeemed **${entry.itemName}**. Please fulfil this request.`,
+      allowedMentions: {
+        users: [interaction.user.id],
+        roles: staffRoleId ? [staffRoleId] : []
+      }
+    });
+
+    return {
+      consumed: true,
+      message: `✅ You redeemed **${entry.itemName}**. A staff member will be in touch.`
+    };
+  }
+};
+
+itemHandlerRegistry.register(staffRequestHandler.effect, staffRequestHandler);
+
+module.exports = staffRequestHandler;
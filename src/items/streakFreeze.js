@@ -0,0 +1,38 @@
+// src/items/streakFreeze.js
+const User = require('../models/User');
+const config = require('../config');
+const itemHandlerRegistry = require('../utils/itemHandlerRegistry');
+
+/**
+ * Turns a stored item into an active GM streak freeze
+ */
+const streakFreezeHandler = {
+  effect: 'streak_freeze',
+  description: 'Adds a GM streak freeze',
+
+  async use({ interaction }) {
+    const maxFreezes = config.gm.maxStreakFreezes;
+
+    const userDoc = await User.findOneAndUpdate(
+      { discordId: interaction.user.id, streakFreezes: { $not: { $gte: maxFreezes } } },
+      { $inc: { streakFreezes: 1 } },
+      { new: true }
+    );
+
+    if (!userDoc) {
+      return {
+        consumed: false,
+        message: `You already hold the maximum of **${maxFreezes}** streak freezes.`
+      };
+    }
+
+    return {
+      consumed: true,
+      message: `🧊 Streak freeze activated! You now hold **${userDoc.streakFreezes}**.`
+    };
+  }
+};
+
+itemHandlerRegistry.register(streakFreezeHandler.effect, streakFreezeHandler);
+
+module.exports = streakFreezeHandler;
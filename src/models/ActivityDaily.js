@@ -0,0 +1,126 @@
+// src/models/ActivityDaily.js
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Buckets older than this are removed by MongoDB (TTL index on `day`);
+// a little over a year so monthly trends can compare with last year
+const RETENTION_DAYS = 400;
+
+/**
+ * ActivityDaily Schema - One user's activity for one UTC day. The lifetime
+ * counters on User can't answer "this week", so the stats flush also adds
+ * to the bucket for the current day. Coin fields come from the economy
+ * ledger writes; coinsSpent is net of purchase, auction and raffle refunds,
+ * so a day with more refunds than spending can be negative.
+ */
+const activityDailySchema = new mongoose.Schema({
+  discordId: {
+    type: String,
+    required: true
+  },
+  // UTC midnight of the day this bucket covers
+  day: {
+    type: Date,
+    required: true
+  },
+  messages: {
+    type: Number,
+    default: 0
+  },
+  reactions: {
+    type: Number,
+    default: 0
+  },
+  voiceMinutes: {
+    type: Number,
+    default: 0
+  },
+  coinsEarned: {
+    type: Number,
+    default: 0
+  },
+  coinsSpent: {
+    type: Number,
+    default: 0
+  },
+  // Last StatsBatch added to this bucket, so a retried flush can't count twice
+  lastStatsBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    select: false
+  }
+});
+
+// Named as in the activity-daily migration so autoIndex doesn't build duplicates
+activityDailySchema.index({ discordId: 1, day: 1 }, { unique: true, name: 'idx_discord_id_day' });
+activityDailySchema.index({ day: 1 }, { expireAfterSeconds: RETENTION_DAYS * DAY_MS / 1000, name: 'idx_day_ttl' });
+
+/**
+ * UTC midnight of the day containing a date
+ */
+activityDailySchema.statics.dayStart = function(date = new Date()) {
+  return new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+};
+
+/**
+ * Per-user totals of one counter over a range of days, highest first
+ * @param {string} field - Counter to rank by, e.g. messages or voiceMinutes
+ * @param {Date} start - First day to include
+ * @param {Date} end - First day after the range
+ * @param {number} limit - Maximum number of users
+ * @returns {Promise<Array>} [{ discordId, value }]
+ */
+activityDailySchema.statics.topBetween = function(field, start, end, limit) {
+  return this.aggregate([
+    { $match: { day: { $gte: this.dayStart(start), $lt: end } } },
+    { $group: { _id: '$discordId', value: { $sum: `$${field}` } } },
+    { $match: { value: { $gt: 0 } } },
+    { $sort: { value: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, discordId: '$_id', value: 1 } }
+  ]);
+};
+
+/**
+ * Server-wide totals per day over a range of days, oldest first. A member
+ * counts as active on a day with any message, reaction or voice minute.
+ * @param {Date} start - First day to include
+ * @param {Date} end - First day after the range
+ * @returns {Promise<Array>} [{ day, activeMembers, messages, voiceMinutes }]
+ */
+activityDailySchema.statics.dailyTotalsBetween = function(start, end) {
+  return this.aggregate([
+    { $match: { day: { $gte: this.dayStart(start), $lt: end } } },
+    {
+      $group: {
+        _id: '$day',
+        activeMembers: {
+          $sum: { $cond: [{ $gt: [{ $add: ['$messages', '$reactions', '$voiceMinutes'] }, 0] }, 1, 0] }
+        },
+        messages: { $sum: '$messages' },
+        voiceMinutes: { $sum: '$voiceMinutes' }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, day: '$_id', activeMembers: 1, messages: 1, voiceMinutes: 1 } }
+  ]);
+};
+
+/**
+ * One user's buckets over a range of days, oldest first. Days without
+ * activity have no bucket.
+ * @param {string} discordId - Discord ID of the user
+ * @param {Date} start - First day to include
+ * @param {Date} end - First day after the range
+ * @returns {Promise<Array>} ActivityDaily objects
+ */
+activityDailySchema.statics.historyFor = function(discordId, start, end) {
+  return this.find(
+    { discordId, day: { $gte: this.dayStart(start), $lt: end } },
+    null,
+    { lean: true, sort: { day: 1 } }
+  );
+};
+
+module.exports = mongoose.model('ActivityDaily', activityDailySchema);
+module.exports.RETENTION_DAYS = RETENTION_DAYS;
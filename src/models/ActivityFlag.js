@@ -0,0 +1,53 @@
+// src/models/ActivityFlag.js
+const mongoose = require('mongoose');
+
+/**
+ * Why activity was not counted and the user was flagged
+ * rate_limit: over the per-minute cap
+ * duplicate: same message text again within the duplicate window
+ * reaction_toggle: removed and re-added the same reaction
+ */
+const FLAG_REASONS = ['rate_limit', 'duplicate', 'reaction_toggle'];
+
+const countsSchema = new mongoose.Schema(
+  Object.fromEntries(FLAG_REASONS.map(reason => [reason, { type: Number, default: 0 }])),
+  { _id: false }
+);
+
+/**
+ * ActivityFlag Schema - Running tally of suspected stat farming per user,
+ * for admins to review with /activity-flags
+ */
+const activityFlagSchema = new mongoose.Schema({
+  discordId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  counts: {
+    type: countsSchema,
+    default: () => ({})
+  },
+  total: {
+    type: Number,
+    default: 0,
+    index: true
+  },
+  lastReason: {
+    type: String,
+    enum: FLAG_REASONS,
+    default: null
+  },
+  // Start of the last rejected message, to help judge the flag
+  lastSample: {
+    type: String,
+    default: ''
+  },
+  lastFlaggedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+module.exports = mongoose.model('ActivityFlag', activityFlagSchema);
+module.exports.FLAG_REASONS = FLAG_REASONS;
@@ -0,0 +1,154 @@
+// src/models/Auction.js
+const mongoose = require('mongoose');
+
+/**
+ * open: taking bids
+ * closing: being settled by the scheduler
+ * settled: prize delivered to the winner
+ * unsold: ended without a bid at or above the reserve
+ * cancelled: stopped by an admin, highest bid refunded
+ * failed: prize could not be delivered, winning bid refunded
+ */
+const AUCTION_STATUSES = ['open', 'closing', 'settled', 'unsold', 'cancelled', 'failed'];
+
+const bidSchema = new mongoose.Schema({
+  discordId: { type: String, required: true },
+  amount: { type: Number, required: true, min: 1 },
+  placedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * Auction Schema - A one-off reward sold to the highest bidder.
+ * The highest bid is held in escrow (already debited) until the auction
+ * settles or the bidder is outbid.
+ */
+const auctionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  imageUrl: {
+    type: String,
+    default: null
+  },
+  prizeType: {
+    type: String,
+    enum: ['role', 'custom'],
+    required: true
+  },
+  roleId: {
+    type: String,
+    default: null
+  },
+  reservePrice: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  minIncrement: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: AUCTION_STATUSES,
+    default: 'open'
+  },
+  highestBid: {
+    type: bidSchema,
+    default: null
+  },
+  bids: {
+    type: [bidSchema],
+    default: []
+  },
+  // Where the auction was posted, so the message can be updated
+  channelId: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  winnerId: {
+    type: String,
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+auctionSchema.index({ status: 1, endsAt: 1 });
+
+/**
+ * Smallest bid that would be accepted right now
+ */
+auctionSchema.methods.getMinimumBid = function() {
+  return this.highestBid
+    ? this.highestBid.amount + this.minIncrement
+    : this.reservePrice;
+};
+
+/**
+ * Open auctions whose end time has passed
+ */
+auctionSchema.statics.findDue = function(at = new Date()) {
+  return this.find({ status: 'open', endsAt: { $lte: at } });
+};
+
+/**
+ * Move an auction from one status to another. Resolves to the updated
+ * auction, or null if it was no longer in the expected status.
+ */
+auctionSchema.statics.transition = function(auctionId, fromStatus, toStatus, fields = {}) {
+  return this.findOneAndUpdate(
+    { _id: auctionId, status: fromStatus },
+    { $set: { status: toStatus, ...fields } },
+    { new: true }
+  );
+};
+
+/**
+ * Auctions left in `closing` since before the cutoff: the process stopped
+ * between claiming and settling them
+ */
+auctionSchema.statics.findStaleClosing = function(before) {
+  return this.find({ status: 'closing', updatedAt: { $lt: before } });
+};
+
+/**
+ * Claim a stale closing auction for another attempt. Resolves to the
+ * auction, or null if another run claimed it first.
+ */
+auctionSchema.statics.reclaimStale = function(auctionId, before) {
+  return this.findOneAndUpdate(
+    { _id: auctionId, status: 'closing', updatedAt: { $lt: before } },
+    { $set: { updatedAt: new Date() } },
+    { new: true, timestamps: false }
+  );
+};
+
+module.exports = mongoose.model('Auction', auctionSchema);
+module.exports.AUCTION_STATUSES = AUCTION_STATUSES;
@@ -0,0 +1,63 @@
+// src/models/ChannelActivityDaily.js
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Kept as long as the per-user rollups in ActivityDaily
+const RETENTION_DAYS = 400;
+
+/**
+ * ChannelActivityDaily Schema - Messages sent in one channel on one UTC
+ * day, written by the stats flush. Threads count toward their parent
+ * channel. Used for the top channels on /server-stats.
+ */
+const channelActivityDailySchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true
+  },
+  // UTC midnight of the day this bucket covers
+  day: {
+    type: Date,
+    required: true
+  },
+  messages: {
+    type: Number,
+    default: 0
+  },
+  // Message credit members got here after tracking rules (exclusions, weights)
+  countedMessages: {
+    type: Number,
+    default: 0
+  },
+  // Last StatsBatch added to this bucket, so a retried flush can't count twice
+  lastStatsBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    select: false
+  }
+});
+
+// Named as in the channel-activity-daily migration so autoIndex doesn't build duplicates
+channelActivityDailySchema.index({ channelId: 1, day: 1 }, { unique: true, name: 'idx_channel_id_day' });
+channelActivityDailySchema.index({ day: 1 }, { expireAfterSeconds: RETENTION_DAYS * DAY_MS / 1000, name: 'idx_day_ttl' });
+
+/**
+ * Busiest channels over a range of days
+ * @param {Date} start - First day to include
+ * @param {Date} end - First day after the range
+ * @param {number} limit - Maximum number of channels
+ * @returns {Promise<Array>} [{ channelId, messages }]
+ */
+channelActivityDailySchema.statics.topBetween = function(start, end, limit) {
+  return this.aggregate([
+    { $match: { day: { $gte: start, $lt: end } } },
+    { $group: { _id: '$channelId', messages: { $sum: '$messages' } } },
+    { $match: { messages: { $gt: 0 } } },
+    { $sort: { messages: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, channelId: '$_id', messages: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('ChannelActivityDaily', channelActivityDailySchema);
+module.exports.RETENTION_DAYS = RETENTION_DAYS;
@@ -0,0 +1,244 @@
+// src/models/CoinTransaction.js
+const mongoose = require('mongoose');
+
+/**
+ * Where a balance change came from. Every write through the economy
+ * manager must use one of these.
+ */
+const TRANSACTION_SOURCES = [
+  'opening_balance',
+  'gm',
+  'tweet_like',
+  'tweet_retweet',
+  'milestone',
+  'role_reward',
+  'admin_grant',
+  'admin_take',
+  'admin_reset',
+  'purchase',
+  'purchase_refund',
+  'refund',
+  'transfer_out',
+  'transfer_in',
+  'item_use',
+  'auction_bid',
+  'auction_refund',
+  'raffle_ticket',
+  'raffle_refund',
+  'leaderboard_prize'
+];
+
+/**
+ * Sources that count as coins earned from activity, as opposed to
+ * refunds, transfers or admin adjustments
+ */
+const EARNING_SOURCES = ['gm', 'tweet_like', 'tweet_retweet', 'milestone', 'role_reward'];
+
+/**
+ * Sources that count as coins spent. Purchase, auction and raffle refunds
+ * are credits netted off against spending (failed or refunded orders,
+ * outbid escrow, cancelled raffles); generic 'refund' entries (failed
+ * transfers) are left out of both spending and earnings.
+ */
+const SPENDING_SOURCES = ['purchase', 'purchase_refund', 'auction_bid', 'raffle_ticket', 'auction_refund', 'raffle_refund'];
+
+/**
+ * Human-readable names for each source, used in wallet views
+ */
+const TRANSACTION_SOURCE_LABELS = {
+  opening_balance: 'Opening balance',
+  gm: 'GM',
+  tweet_like: 'Tweet likes',
+  tweet_retweet: 'Retweets',
+  milestone: 'Milestones',
+  role_reward: 'Role rewards',
+  admin_grant: 'Admin grants',
+  admin_take: 'Admin removals',
+  admin_reset: 'Resets',
+  purchase: 'Purchases',
+  purchase_refund: 'Purchase refunds',
+  refund: 'Refunds',
+  transfer_out: 'Coins sent',
+  transfer_in: 'Coins received',
+  item_use: 'Items used',
+  auction_bid: 'Auction bids',
+  auction_refund: 'Auction refunds',
+  raffle_ticket: 'Raffle tickets',
+  raffle_refund: 'Raffle refunds',
+  leaderboard_prize: 'Leaderboard prizes'
+};
+
+/**
+ * CoinTransaction Schema - Append-only ledger of every coin balance change
+ */
+const coinTransactionSchema = new mongoose.Schema({
+  // Whose balance changed
+  discordId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Signed change applied to the balance
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  // Balance immediately after this change was applied
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+
+  // Classification
+  source: {
+    type: String,
+    enum: TRANSACTION_SOURCES,
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+
+  // Discord ID of whoever triggered the change (admin, buyer, system = null)
+  actorId: {
+    type: String,
+    default: null
+  },
+
+  // Related entity: tweet id, marketplace item id, role id, ...
+  referenceId: {
+    type: String,
+    default: null,
+    index: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false }
+});
+
+// For a user's history, newest first
+coinTransactionSchema.index({ discordId: 1, createdAt: -1 });
+// For totals by source over a time window
+coinTransactionSchema.index({ source: 1, createdAt: -1 }, { name: 'idx_source_created_at' });
+
+/**
+ * Ledger entries are never edited after they are written
+ */
+coinTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('CoinTransaction entries are append-only'));
+  }
+  next();
+});
+
+/**
+ * Sum of all ledger entries for a user
+ */
+coinTransactionSchema.statics.sumForUser = async function(discordId) {
+  const [result] = await this.aggregate([
+    { $match: { discordId } },
+    { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  return result ? { total: result.total, count: result.count } : { total: 0, count: 0 };
+};
+
+/**
+ * Per-user totals of credits from some sources in a time window, highest first
+ * @param {Array<string>} sources - Transaction sources to include
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window (exclusive)
+ * @param {number} limit - Maximum number of users
+ * @param {Object} options - count: count entries instead of summing coins
+ * @returns {Promise<Array>} [{ discordId, value }]
+ */
+coinTransactionSchema.statics.topBetween = function(sources, start, end, limit, { count = false } = {}) {
+  return this.aggregate([
+    { $match: { source: { $in: sources }, amount: { $gt: 0 }, createdAt: { $gte: start, $lt: end } } },
+    { $group: { _id: '$discordId', value: { $sum: count ? 1 : '$amount' } } },
+    { $sort: { value: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, discordId: '$_id', value: 1 } }
+  ]);
+};
+
+/**
+ * Credits, debits and entry counts per source in a time window
+ * @param {Date} start - Start of the window
+ * @param {Date} end - End of the window (exclusive)
+ * @returns {Promise<Array>} [{ source, credited, debited, count }]
+ */
+coinTransactionSchema.statics.totalsBySourceBetween = function(start, end) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: '$source',
+        credited: { $sum: { $cond: [{ $gt: ['$amount', 0] }, '$amount', 0] } },
+        debited: { $sum: { $cond: [{ $lt: ['$amount', 0] }, { $abs: '$amount' }, 0] } },
+        count: { $sum: 1 }
+      }
+    },
+    { $project: { _id: 0, source: '$_id', credited: 1, debited: 1, count: 1 } }
+  ]);
+};
+
+/**
+ * Total coins a user has sent to other members since a given date
+ */
+coinTransactionSchema.statics.sumSentSince = async function(discordId, since) {
+  const [result] = await this.aggregate([
+    { $match: { discordId, source: 'transfer_out', createdAt: { $gte: since } } },
+    { $group: { _id: null, total: { $sum: { $abs: '$amount' } } } }
+  ]);
+
+  return result ? result.total : 0;
+};
+
+/**
+ * Page through a user's history, newest first
+ */
+coinTransactionSchema.statics.findHistory = async function(discordId, page = 0, pageSize = 10) {
+  const [entries, total] = await Promise.all([
+    this.find({ discordId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(page * pageSize)
+      .limit(pageSize)
+      .lean(),
+    this.countDocuments({ discordId })
+  ]);
+
+  return { entries, total, pages: Math.max(1, Math.ceil(total / pageSize)) };
+};
+
+/**
+ * Totals per source for a user, split into coins earned and coins spent
+ */
+coinTransactionSchema.statics.getBreakdown = function(discordId) {
+  return this.aggregate([
+    { $match: { discordId } },
+    {
+      $group: {
+        _id: '$source',
+        earned: { $sum: { $cond: [{ $gt: ['$amount', 0] }, '$amount', 0] } },
+        spent: { $sum: { $cond: [{ $lt: ['$amount', 0] }, { $abs: '$amount' }, 0] } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { earned: -1, spent: -1 } }
+  ]);
+};
+
+module.exports = mongoose.model('CoinTransaction', coinTransactionSchema);
+module.exports.TRANSACTION_SOURCES = TRANSACTION_SOURCES;
+module.exports.TRANSACTION_SOURCE_LABELS = TRANSACTION_SOURCE_LABELS;
+module.exports.EARNING_SOURCES = EARNING_SOURCES;
+module.exports.SPENDING_SOURCES = SPENDING_SOURCES;
@@ -0,0 +1,79 @@
+// src/models/GmRewardConfig.js
+const mongoose = require('mongoose');
+
+/**
+ * Default GM odds: 100 coins at 1/10000, 1 coin at 40%,
+ * otherwise 2..99 weighted by 1/(k^2)
+ */
+const DEFAULT_TIERS = [
+  { min: 100, max: 100, weight: 0.0001, curve: 'flat' },
+  { min: 1, max: 1, weight: 0.4, curve: 'flat' },
+  { min: 2, max: 99, weight: 0.5999, curve: 'inverse_square' }
+];
+
+// Odds are computed per value in [min..max], so tiers are kept small
+const MAX_TIER_REWARD = 10000;
+
+const tierSchema = new mongoose.Schema({
+  min: { type: Number, required: true, min: 1, max: MAX_TIER_REWARD },
+  max: { type: Number, required: true, min: 1, max: MAX_TIER_REWARD },
+  weight: { type: Number, required: true, min: 0 },
+  // How the value is picked inside [min..max]
+  curve: { type: String, enum: ['flat', 'inverse_square'], default: 'flat' }
+}, { _id: false });
+
+const eventSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  multiplier: { type: Number, required: true, min: 0 },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  createdBy: { type: String, default: null }
+}, { _id: false });
+
+/**
+ * GmRewardConfig Schema - Weighted GM reward table and temporary events.
+ * There is a single document keyed 'default'.
+ */
+const gmRewardConfigSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  tiers: {
+    type: [tierSchema],
+    default: () => DEFAULT_TIERS.map(tier => ({ ...tier }))
+  },
+  events: {
+    type: [eventSchema],
+    default: []
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Load the config, creating it with the default odds on first use
+ */
+gmRewardConfigSchema.statics.getConfig = function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Events whose window contains the given time
+ */
+gmRewardConfigSchema.methods.getActiveEvents = function(at = new Date()) {
+  return this.events.filter(event => event.startsAt <= at && event.endsAt > at);
+};
+
+module.exports = mongoose.model('GmRewardConfig', gmRewardConfigSchema);
+module.exports.DEFAULT_TIERS = DEFAULT_TIERS;
+module.exports.MAX_TIER_REWARD = MAX_TIER_REWARD;
@@ -0,0 +1,77 @@
+// src/models/Inventory.js
+const mongoose = require('mongoose');
+
+/**
+ * Inventory Schema - Marketplace purchases a user holds beyond a plain role:
+ * consumables (counted by quantity) and timed roles (removed at expiresAt).
+ * One entry per user and item.
+ */
+const inventorySchema = new mongoose.Schema({
+  discordId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MarketplaceItem',
+    required: true
+  },
+  // Copied from the item so entries stay readable if the item is removed
+  itemName: {
+    type: String,
+    required: true
+  },
+  itemType: {
+    type: String,
+    required: true
+  },
+  roleId: {
+    type: String,
+    default: null
+  },
+  // Item handler run on /use (consumables)
+  effect: {
+    type: String,
+    default: null
+  },
+  effectValue: {
+    type: Number,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+inventorySchema.index({ discordId: 1, itemId: 1 }, { unique: true });
+
+/**
+ * Take one unit of a consumable. Resolves to the updated entry, or null
+ * if the user has none left.
+ */
+inventorySchema.statics.takeOne = function(entryId) {
+  return this.findOneAndUpdate(
+    { _id: entryId, quantity: { $gte: 1 } },
+    { $inc: { quantity: -1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Timed role entries that have run out
+ */
+inventorySchema.statics.findExpired = function(at = new Date()) {
+  return this.find({ itemType: 'timed_role', expiresAt: { $lte: at } });
+};
+
+module.exports = mongoose.model('Inventory', inventorySchema);
@@ -1,10 +1,70 @@
 // src/models/MarketplaceItem.js
 const mongoose = require('mongoose');
 
+/**
+ * What a purchase grants:
+ * - role: a permanent Discord role
+ * - timed_role: a Discord role removed again after durationDays
+ * - consumable: an item added to the buyer's inventory
+ * - custom: fulfilled by hand; staff are pinged on purchase
+ * - streak_freeze: a GM streak freeze
+ */
+const ITEM_TYPES = ['role', 'timed_role', 'consumable', 'custom', 'streak_freeze'];
+
 const marketplaceItemSchema = new mongoose.Schema({
   name: { type: String, index: true },
+  type: { type: String, enum: ITEM_TYPES, default: 'role' },
+  description: { type: String, default: null },
+  category: { type: String, default: 'General', index: true },
+  imageUrl: { type: String, default: null },
   roleId: String,
   price: Number,
+  // timed_role only
+  durationDays: { type: Number, default: null, min: 1 },
+  // consumable only: item handler run on /use, and its parameter
+  effect: { type: String, default: null },
+  effectValue: { type: Number, default: null },
+  // null means unlimited
+  stock: { type: Number, default: null, min: 0 },
+  perUserLimit: { type: Number, default: null, min: 1 },
+  // Demand pricing: each purchase raises the price by demandStepPercent,
+  // and the extra halves every demandHalfLifeHours (0 disables it)
+  demandStepPercent: { type: Number, default: 0, min: 0 },
+  demandHalfLifeHours: { type: Number, default: 24, min: 1 },
+  demandLevel: { type: Number, default: 0 },
+  demandUpdatedAt: { type: Date, default: null },
+  // Item can only be bought inside this window (either end optional)
+  availableFrom: { type: Date, default: null },
+  availableUntil: { type: Date, default: null },
 });
 
-module.exports = mongoose.model('MarketplaceItem', marketplaceItemSchema);
\ No newline at end of file
+/**
+ * Whether the item can be bought at the given time
+ */
+marketplaceItemSchema.methods.isAvailable = function(at = new Date()) {
+  if (this.availableFrom && this.availableFrom > at) return false;
+  if (this.availableUntil && this.availableUntil <= at) return false;
+  return true;
+};
+
+/**
+ * Take one unit of stock. Resolves false when the item is sold out.
+ * Items without a stock limit always succeed.
+ */
+marketplaceItemSchema.statics.reserveStock = async function(itemId) {
+  const result = await this.updateOne(
+    { _id: itemId, $or: [{ stock: null }, { stock: { $gt: 0 } }] },
+    [{ $set: { stock: { $cond: [{ $eq: ['$stock', null] }, null, { $subtract: ['$stock', 1] }] } } }]
+  );
+  return result.matchedCount > 0;
+};
+
+/**
+ * Give back a unit taken by reserveStock (failed or refunded purchase)
+ */
+marketplaceItemSchema.statics.releaseStock = function(itemId) {
+  return this.updateOne({ _id: itemId, stock: { $ne: null } }, { $inc: { stock: 1 } });
+};
+
+module.exports = mongoose.model('MarketplaceItem', marketplaceItemSchema);
+module.exports.ITEM_TYPES = ITEM_TYPES;
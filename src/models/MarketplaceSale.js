@@ -0,0 +1,63 @@
+// src/models/MarketplaceSale.js
+const mongoose = require('mongoose');
+
+/**
+ * MarketplaceSale Schema - A percent-off discount for a time window.
+ * Applies to one item, one category, or (neither set) the whole marketplace.
+ * Overlapping sales don't stack; an item gets the biggest discount.
+ */
+const marketplaceSaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  percentOff: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 95
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  category: {
+    type: String,
+    default: null
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MarketplaceItem',
+    default: null
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Sales running at the given time
+ */
+marketplaceSaleSchema.statics.findActive = function(at = new Date()) {
+  return this.find({ startsAt: { $lte: at }, endsAt: { $gt: at } }).lean();
+};
+
+/**
+ * Whether a sale covers an item
+ */
+marketplaceSaleSchema.statics.appliesTo = function(sale, item) {
+  if (sale.itemId) return String(sale.itemId) === String(item._id);
+  if (sale.category) return sale.category === (item.category || 'General');
+  return true;
+};
+
+module.exports = mongoose.model('MarketplaceSale', marketplaceSaleSchema);
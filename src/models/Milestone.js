@@ -0,0 +1,51 @@
+// src/models/Milestone.js
+const mongoose = require('mongoose');
+
+// Milestone metric -> User counter it is measured against
+const MILESTONE_METRICS = {
+  messages: 'messagesCount',
+  reactions: 'reactionsCount',
+  voice: 'voiceMinutes'
+};
+
+/**
+ * Milestone Schema - Coins paid once per user when a lifetime counter
+ * reaches the threshold. Defined with /milestones; claims are kept in
+ * MilestoneClaim.
+ */
+const milestoneSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    enum: Object.keys(MILESTONE_METRICS),
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reward: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Named as in the milestones migration so autoIndex doesn't build duplicates
+milestoneSchema.index({ metric: 1, threshold: 1 }, { unique: true, name: 'idx_metric_threshold' });
+
+/**
+ * Ledger reference and claim key of a milestone, e.g. "messages:50"
+ */
+milestoneSchema.statics.keyOf = function({ metric, threshold }) {
+  return `${metric}:${threshold}`;
+};
+
+module.exports = mongoose.model('Milestone', milestoneSchema);
+module.exports.MILESTONE_METRICS = MILESTONE_METRICS;
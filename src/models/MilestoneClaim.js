@@ -0,0 +1,36 @@
+// src/models/MilestoneClaim.js
+const mongoose = require('mongoose');
+
+/**
+ * MilestoneClaim Schema - A milestone a user has been paid for. Keyed by
+ * metric and threshold rather than the Milestone document, so removing
+ * and re-adding a milestone doesn't pay it twice.
+ */
+const milestoneClaimSchema = new mongoose.Schema({
+  discordId: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  // Coins paid for it
+  reward: {
+    type: Number,
+    default: 0
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Named as in the milestones migration so autoIndex doesn't build duplicates
+milestoneClaimSchema.index({ discordId: 1, metric: 1, threshold: 1 }, { unique: true, name: 'idx_discord_id_metric_threshold' });
+
+module.exports = mongoose.model('MilestoneClaim', milestoneClaimSchema);
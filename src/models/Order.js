@@ -0,0 +1,134 @@
+// src/models/Order.js
+const mongoose = require('mongoose');
+
+/**
+ * pending: paid, delivery in progress
+ * fulfilled: delivered
+ * refunded: undone by staff, coins returned
+ * failed: delivery threw, coins returned automatically
+ */
+const ORDER_STATUSES = ['pending', 'fulfilled', 'refunded', 'failed'];
+
+// A pending order older than this had its delivery interrupted (e.g. a restart)
+const DELIVERY_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Order Schema - One marketplace purchase. Item details are copied at
+ * purchase time so the order stays accurate if the item is edited or removed.
+ */
+const orderSchema = new mongoose.Schema({
+  discordId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MarketplaceItem',
+    required: true
+  },
+  itemName: {
+    type: String,
+    required: true
+  },
+  itemType: {
+    type: String,
+    required: true
+  },
+  roleId: {
+    type: String,
+    default: null
+  },
+  durationDays: {
+    type: Number,
+    default: null
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  // Ledger entries for the charge and the refund
+  chargeTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CoinTransaction',
+    default: null
+  },
+  refundTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CoinTransaction',
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  fulfilledAt: {
+    type: Date,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  refundedBy: {
+    type: String,
+    default: null
+  },
+  refundReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ discordId: 1, itemId: 1, status: 1 });
+orderSchema.index({ discordId: 1, createdAt: -1 });
+
+/**
+ * Purchases of an item that still count against the per-user limit
+ */
+orderSchema.statics.countActive = function(discordId, itemId) {
+  return this.countDocuments({ discordId, itemId, status: { $in: ['pending', 'fulfilled'] } });
+};
+
+/**
+ * Move an order from one status (or any of several) to another. Resolves to
+ * the updated order, or null if it was no longer in an expected status.
+ */
+orderSchema.statics.transition = function(orderId, fromStatus, toStatus, fields = {}) {
+  return this.findOneAndUpdate(
+    { _id: orderId, status: Array.isArray(fromStatus) ? { $in: fromStatus } : fromStatus },
+    { $set: { status: toStatus, ...fields } },
+    { new: true }
+  );
+};
+
+/**
+ * Move an order to refunded. Pending orders only qualify once they are older
+ * than DELIVERY_TIMEOUT_MS, so a delivery still in progress can't be refunded
+ * underneath the buyer. Resolves to the updated order, or null.
+ */
+orderSchema.statics.claimForRefund = function(orderId, fields = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: orderId,
+      $or: [
+        { status: 'fulfilled' },
+        { status: 'pending', createdAt: { $lt: new Date(Date.now() - DELIVERY_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'refunded', ...fields } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Order', orderSchema);
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
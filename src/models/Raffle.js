@@ -0,0 +1,140 @@
+// src/models/Raffle.js
+const mongoose = require('mongoose');
+
+/**
+ * open: selling tickets
+ * drawing: being drawn by the scheduler
+ * drawn: winners picked, seed revealed
+ * cancelled: stopped by an admin, all tickets refunded
+ */
+const RAFFLE_STATUSES = ['open', 'drawing', 'drawn', 'cancelled'];
+
+const winnerSchema = new mongoose.Schema({
+  discordId: { type: String, required: true },
+  ticketNumber: { type: Number, required: true }
+}, { _id: false });
+
+/**
+ * Raffle Schema - Coin-paid ticket raffle.
+ * The draw seed is fixed at creation and only its SHA-256 hash is shown
+ * until the draw, when the seed is revealed so anyone can re-run the draw.
+ */
+const raffleSchema = new mongoose.Schema({
+  prize: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  ticketPrice: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  maxTicketsPerUser: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  winnerCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  drawAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: RAFFLE_STATUSES,
+    default: 'open'
+  },
+  // Also the last ticket number handed out
+  ticketsSold: {
+    type: Number,
+    default: 0
+  },
+  seed: {
+    type: String,
+    required: true,
+    select: false
+  },
+  seedHash: {
+    type: String,
+    required: true
+  },
+  // Copied from seed when drawn
+  revealedSeed: {
+    type: String,
+    default: null
+  },
+  winners: {
+    type: [winnerSchema],
+    default: []
+  },
+  drawnAt: {
+    type: Date,
+    default: null
+  },
+  channelId: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+raffleSchema.index({ status: 1, drawAt: 1 });
+
+/**
+ * Open raffles whose draw time has passed
+ */
+raffleSchema.statics.findDue = function(at = new Date()) {
+  return this.find({ status: 'open', drawAt: { $lte: at } });
+};
+
+/**
+ * Move a raffle from one status to another. Resolves to the updated
+ * raffle, or null if it was no longer in the expected status.
+ */
+raffleSchema.statics.transition = function(raffleId, fromStatus, toStatus, fields = {}) {
+  return this.findOneAndUpdate(
+    { _id: raffleId, status: fromStatus },
+    { $set: { status: toStatus, ...fields } },
+    { new: true }
+  ).select('+seed');
+};
+
+/**
+ * Raffles left in `drawing` since before the cutoff: the process stopped
+ * between claiming and drawing them
+ */
+raffleSchema.statics.findStaleDrawing = function(before) {
+  return this.find({ status: 'drawing', updatedAt: { $lt: before } });
+};
+
+/**
+ * Claim a stale drawing raffle for another attempt. Resolves to the
+ * raffle (with its seed), or null if another run claimed it first.
+ */
+raffleSchema.statics.reclaimStale = function(raffleId, before) {
+  return this.findOneAndUpdate(
+    { _id: raffleId, status: 'drawing', updatedAt: { $lt: before } },
+    { $set: { updatedAt: new Date() } },
+    { new: true, timestamps: false }
+  ).select('+seed');
+};
+
+module.exports = mongoose.model('Raffle', raffleSchema);
+module.exports.RAFFLE_STATUSES = RAFFLE_STATUSES;
@@ -0,0 +1,43 @@
+// src/models/RaffleTicket.js
+const mongoose = require('mongoose');
+
+/**
+ * RaffleTicket Schema - One ticket bought for a raffle. Kept after the
+ * draw as the audit trail: who bought which number, when, and the
+ * ledger entry that paid for it.
+ */
+const raffleTicketSchema = new mongoose.Schema({
+  raffleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Raffle',
+    required: true
+  },
+  discordId: {
+    type: String,
+    required: true
+  },
+  ticketNumber: {
+    type: Number,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CoinTransaction',
+    default: null
+  },
+  refunded: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+raffleTicketSchema.index({ raffleId: 1, ticketNumber: 1 }, { unique: true });
+raffleTicketSchema.index({ raffleId: 1, discordId: 1 });
+
+module.exports = mongoose.model('RaffleTicket', raffleTicketSchema);
@@ -0,0 +1,70 @@
+// src/models/StatsBatch.js
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Applied batches are kept this long so a journal file recovered after a
+// crash is recognised as already staged instead of being counted again
+const RETENTION_DAYS = 7;
+
+const userIncrementSchema = new mongoose.Schema({
+  discordId: { type: String, required: true },
+  messagesCount: { type: Number, default: 0 },
+  reactionsCount: { type: Number, default: 0 },
+  voiceMinutes: { type: Number, default: 0 },
+  coinsEarned: { type: Number, default: 0 },
+  coinsSpent: { type: Number, default: 0 }
+}, { _id: false });
+
+const channelIncrementSchema = new mongoose.Schema({
+  channelId: { type: String, required: true },
+  messages: { type: Number, default: 0 },
+  countedMessages: { type: Number, default: 0 }
+}, { _id: false });
+
+/**
+ * StatsBatch Schema - One flush worth of stat increments, staged before it
+ * is applied to User, ActivityDaily and ChannelActivityDaily. Each target
+ * document records the last batch it received (lastStatsBatch), so applying
+ * a batch again after a partial failure only touches what was missed.
+ * Batches are applied in _id order.
+ */
+const statsBatchSchema = new mongoose.Schema({
+  // UTC day the increments belong to
+  day: {
+    type: Date,
+    required: true
+  },
+  users: {
+    type: [userIncrementSchema],
+    default: []
+  },
+  channels: {
+    type: [channelIncrementSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Named as in the stats-batches migration so autoIndex doesn't build duplicates
+statsBatchSchema.index({ status: 1, _id: 1 }, { name: 'idx_status_id' });
+statsBatchSchema.index({ appliedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * DAY_MS / 1000, name: 'idx_applied_at_ttl' });
+
+module.exports = mongoose.model('StatsBatch', statsBatchSchema);
+module.exports.RETENTION_DAYS = RETENTION_DAYS;
@@ -0,0 +1,43 @@
+// src/models/TrackingRule.js
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['channel', 'category'];
+
+/**
+ * TrackingRule Schema - How activity in a channel or a whole category is
+ * counted. A channel rule overrides the rule of its category; channels
+ * without any rule count normally (weight 1).
+ */
+const trackingRuleSchema = new mongoose.Schema({
+  targetId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  // Excluded channels don't count messages, reactions or voice minutes at all
+  excluded: {
+    type: Boolean,
+    default: false
+  },
+  // Messages counted per message sent, e.g. 2 in the introductions channel
+  weight: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 10
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TrackingRule', trackingRuleSchema);
+module.exports.TARGET_TYPES = TARGET_TYPES;
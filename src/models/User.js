@@ -30,6 +30,7 @@ const userSchema = new mongoose.Schema({
   coins: { 
     type: Number, 
     default: 0,
+    min: 0,
     index: true 
   },
   lastDaily: { 
@@ -41,6 +42,30 @@ const userSchema = new mongoose.Schema({
     default: [] 
   },
   
+  // GM streaks
+  gmStreak: {
+    type: Number,
+    default: 0
+  },
+  longestGmStreak: {
+    type: Number,
+    default: 0
+  },
+  streakFreezes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Preferences (backfilled by migration 20250326000001-add-user-preferences)
+  preferences: {
+    notificationsEnabled: { type: Boolean, default: true },
+    displayMode: { type: String, default: 'default' },
+    language: { type: String, default: 'en' },
+    timezone: { type: String, default: null },
+    timezoneUpdatedAt: { type: Date, default: null }
+  },
+  
   // Activity metrics
   messagesCount: { 
     type: Number, 
@@ -64,6 +89,11 @@ const userSchema = new mongoose.Schema({
     type: Number, 
     default: 0 
   },
+  // Last StatsBatch applied to the counters above, so a retried flush can't count twice
+  lastStatsBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    select: false
+  },
   
   // Metadata
   createdAt: {
@@ -134,6 +164,8 @@ userSchema.methods.getFormattedStats = function() {
     coins: this.coins.toLocaleString(),
     totalLikes: this.totalLikes.toLocaleString(),
     totalRetweets: this.totalRetweets.toLocaleString(),
+    gmStreak: this.gmStreak.toLocaleString(),
+    longestGmStreak: this.longestGmStreak.toLocaleString(),
     memberSince: this.createdAt.toLocaleDateString()
   };
 };
@@ -0,0 +1,96 @@
+// src/models/VoiceSession.js
+const mongoose = require('mongoose');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * VoiceSession Schema - One continuous stay in voice, from joining any
+ * voice channel until leaving voice entirely (moving between channels
+ * keeps the session). Open sessions have no leftAt; lastSeenAt is bumped
+ * every minute so a session cut off by a crash can be closed at the right time.
+ */
+const voiceSessionSchema = new mongoose.Schema({
+  discordId: {
+    type: String,
+    required: true
+  },
+  guildId: {
+    type: String,
+    required: true
+  },
+  // Channel the session started in
+  channelId: {
+    type: String,
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    required: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  leftAt: {
+    type: Date,
+    default: null
+  },
+  durationMinutes: {
+    type: Number,
+    default: null
+  }
+});
+
+// Named as in the voice-sessions migration so autoIndex doesn't build duplicates
+voiceSessionSchema.index({ discordId: 1, durationMinutes: -1 }, { name: 'idx_discord_id_duration' });
+voiceSessionSchema.index({ leftAt: 1 }, { name: 'idx_left_at' });
+
+/**
+ * Record a session start. Upserts so it can't clash with an early close.
+ */
+voiceSessionSchema.statics.open = function(sessionId, { discordId, guildId, channelId, joinedAt }) {
+  return this.updateOne(
+    { _id: sessionId },
+    { $setOnInsert: { discordId, guildId, channelId, joinedAt, lastSeenAt: joinedAt } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Record a session end. Upserts with the start fields in case the open
+ * write hasn't landed yet.
+ */
+voiceSessionSchema.statics.close = function(sessionId, { discordId, guildId, channelId, joinedAt }, leftAt = new Date()) {
+  return this.updateOne(
+    { _id: sessionId },
+    {
+      $set: {
+        leftAt,
+        lastSeenAt: leftAt,
+        durationMinutes: Math.max(0, Math.round((leftAt - joinedAt) / MINUTE_MS))
+      },
+      $setOnInsert: { discordId, guildId, channelId, joinedAt }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Mark open sessions as still running
+ */
+voiceSessionSchema.statics.touch = function(sessionIds, at = new Date()) {
+  if (!sessionIds.length) return Promise.resolve();
+  return this.updateMany({ _id: { $in: sessionIds }, leftAt: null }, { $set: { lastSeenAt: at } });
+};
+
+/**
+ * A user's longest finished session
+ */
+voiceSessionSchema.statics.findLongest = function(discordId) {
+  return this.findOne({ discordId, durationMinutes: { $ne: null } }, null, {
+    lean: true,
+    sort: { durationMinutes: -1 }
+  });
+};
+
+module.exports = mongoose.model('VoiceSession', voiceSessionSchema);
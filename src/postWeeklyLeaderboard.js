@@ -0,0 +1,142 @@
+// src/postWeeklyLeaderboard.js
+const CoinTransaction = require('./models/CoinTransaction');
+const economy = require('./utils/economy');
+const leaderboardCommand = require('./commands/leaderboard');
+const { getPeriodWindow, getRankings, filterRankings } = require('./utils/leaderboards');
+const config = require('./config');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  transports: [new winston.transports.Console({ format: winston.format.simple() })],
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pay the configured prizes to the top ranks. Each prize is recorded with
+ * the week as referenceId, so a second run for the same week pays nothing.
+ * @returns {Promise<Array>} [{ discordId, amount, rank }] actually paid
+ */
+async function payPrizes(entries, weekKey) {
+  const referenceId = `weekly-leaderboard:${weekKey}`;
+  const paid = [];
+
+  for (const [index, amount] of config.leaderboard.weeklyPrizes.entries()) {
+    const entry = entries[index];
+    if (!entry) break;
+
+    if (await CoinTransaction.exists({ discordId: entry.discordId, source: 'leaderboard_prize', referenceId })) {
+      continue;
+    }
+
+    const result = await economy.credit(entry.discordId, amount, {
+      source: 'leaderboard_prize',
+      reason: `#${index + 1} on the weekly leaderboard (week of ${weekKey})`,
+      referenceId,
+      username: entry.username
+    });
+
+    if (result.success) {
+      paid.push({ discordId: entry.discordId, amount, rank: index + 1 });
+    } else {
+      logger.error(`[Scheduler] Failed to pay weekly leaderboard prize to ${entry.discordId}: ${result.code}`);
+    }
+  }
+
+  return paid;
+}
+
+/**
+ * Move the Top Chatter role to last week's top chatter
+ * @returns {Promise<string|null>} Discord ID of the new holder
+ */
+async function awardTopChatterRole(guild, lastWeek, entries) {
+  const roleId = config.leaderboard.topChatterRoleId;
+  if (!roleId) return null;
+
+  // Reuse the posted ranking when it is already by messages
+  const chatters = config.leaderboard.weeklyMetric === 'messages'
+    ? entries
+    : await filterRankings(guild, await getRankings('messages', 'weekly', { now: lastWeek, limit: 25 }));
+  const winnerId = chatters[0]?.discordId || null;
+
+  // role.members only covers cached members
+  await guild.members.fetch();
+  const role = await guild.roles.fetch(roleId);
+  if (!role) {
+    logger.warn(`[Scheduler] Top chatter role ${roleId} not found`);
+    return null;
+  }
+
+  for (const member of role.members.values()) {
+    if (member.id !== winnerId) {
+      await member.roles.remove(roleId, 'No longer the top chatter of the week');
+    }
+  }
+
+  if (winnerId && !role.members.has(winnerId)) {
+    const winner = await guild.members.fetch(winnerId);
+    await winner.roles.add(roleId, 'Top chatter of the week');
+  }
+
+  return winnerId;
+}
+
+/**
+ * postWeeklyLeaderboard()
+ *
+ * Runs just after the UTC week rolls over: posts last week's top N for the
+ * configured metric, pays prizes to the top ranks and hands the Top Chatter
+ * role to whoever sent the most messages.
+ */
+async function postWeeklyLeaderboard() {
+  const client = global.discordClient;
+  if (!client?.isReady()) return;
+
+  const { weeklyChannelId, weeklyMetric, weeklySize, weeklyPrizes, topChatterRoleId } = config.leaderboard;
+  if (!weeklyChannelId && !weeklyPrizes.length && !topChatterRoleId) return;
+
+  try {
+    // Any time inside last week selects its window
+    const lastWeek = new Date(Date.now() - 7 * DAY_MS);
+    const weekKey = getPeriodWindow('weekly', lastWeek).start.toISOString().slice(0, 10);
+
+    const guild = await client.guilds.fetch(config.discord.guildId);
+    const entries = await filterRankings(guild, await getRankings(weeklyMetric, 'weekly', { now: lastWeek }));
+
+    const paid = await payPrizes(entries, weekKey);
+
+    let topChatterId = null;
+    try {
+      topChatterId = await awardTopChatterRole(guild, lastWeek, entries);
+    } catch (err) {
+      logger.error('[Scheduler] Failed to update the top chatter role:', err);
+    }
+
+    if (weeklyChannelId) {
+      const embed = leaderboardCommand.buildLeaderboardEmbed(entries.slice(0, weeklySize), weeklyMetric, 'weekly', {
+        scopeLabel: `Week of ${weekKey}`,
+        footer: 'Weekly results · weeks start Monday 00:00 UTC'
+      });
+
+      const lines = paid.map(({ discordId, amount, rank }) => `#${rank} <@${discordId}> won **${amount}** coins`);
+      if (topChatterId) {
+        lines.push(`💬 <@${topChatterId}> is the Top Chatter of the Week!`);
+      }
+
+      const channel = await client.channels.fetch(weeklyChannelId);
+      await channel.send({
+        content: lines.length ? `🎉 **Weekly leaderboard results**\n${lines.join('\n')}` : '🎉 **Weekly leaderboard results**',
+        embeds: [embed],
+        allowedMentions: { users: [...paid.map(prize => prize.discordId), topChatterId].filter(Boolean) }
+      });
+    }
+
+    logger.info(`[Scheduler] Posted weekly leaderboard for ${weekKey}, paid ${paid.length} prize(s).`);
+  } catch (err) {
+    logger.error('[Scheduler] postWeeklyLeaderboard() error:', err);
+  }
+}
+
+module.exports = postWeeklyLeaderboard;
@@ -2,8 +2,15 @@
 const cron = require('node-cron');
 const checkFinalInteractions = require('./checkFinalInteractions');
 const checkMissingRewards = require('./checkMissingRewards');
+const expireTimedRoles = require('./expireTimedRoles');
+const closeAuctions = require('./closeAuctions');
+const drawRaffles = require('./drawRaffles');
+const postWeeklyLeaderboard = require('./postWeeklyLeaderboard');
 const flushStatsToDB = require('./utils/flushStats');
-const { getUsersInVoice } = require('./utils/voiceTracker');
+const { getEligibleVoiceUsers } = require('./utils/voiceTracker');
+const { touchVoiceSessions } = require('./utils/voiceSessions');
+const { getChannelWeight } = require('./utils/trackingRules');
+const config = require('./config');
 const { accumulateUserStat } = require('./utils/aggregator');
 const twitterClient = require('./utils/twitterClient');
 const winston = require('winston');
@@ -59,11 +66,18 @@ cron.schedule('*/30 * * * * *', async () => {
 // 4) Increment voice minutes every 1 minute
 cron.schedule('* * * * *', async () => {
   try {
-    const inVoice = getUsersInVoice();
-    // For each user in voice, increment aggregator voiceMinutes by 1
-    for (const discordId of inVoice) {
+    // Deafened, AFK and alone users don't count (see config.voice)
+    const eligible = getEligibleVoiceUsers(config.voice);
+    for (const { discordId, channelId } of eligible) {
+      // Voice channels excluded with /tracking don't count either
+      const channel = global.discordClient?.channels.cache.get(channelId);
+      if (channel && (await getChannelWeight(channel)) === 0) continue;
+
       accumulateUserStat(discordId, 'voiceMinutes', 1);
     }
+
+    // Keep stored sessions current in case the bot goes down mid-session
+    await touchVoiceSessions();
   } catch (err) {
     logger.error('Error incrementing voice minutes:', err);
   }
@@ -92,4 +106,40 @@ cron.schedule('0,15,30,45 * * * *', () => {
   } catch (err) {
     logger.error('[Scheduler] Error resetting Twitter API rate limit counters:', err);
   }
-});
\ No newline at end of file
+});
+
+// 6) Remove expired timed marketplace roles (every 5 minutes)
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    await expireTimedRoles();
+  } catch (err) {
+    logger.error('[Scheduler] Error expiring timed roles:', err);
+  }
+});
+
+// 7) Close ended auctions and deliver prizes (every minute)
+cron.schedule('* * * * *', async () => {
+  try {
+    await closeAuctions();
+  } catch (err) {
+    logger.error('[Scheduler] Error closing auctions:', err);
+  }
+});
+
+// 8) Draw raffles whose draw time has passed (every minute)
+cron.schedule('* * * * *', async () => {
+  try {
+    await drawRaffles();
+  } catch (err) {
+    logger.error('[Scheduler] Error drawing raffles:', err);
+  }
+});
+
+// 9) Post last week's leaderboard and pay prizes (Mondays 00:05 UTC)
+cron.schedule('5 0 * * 1', async () => {
+  try {
+    await postWeeklyLeaderboard();
+  } catch (err) {
+    logger.error('[Scheduler] Error posting weekly leaderboard:', err);
+  }
+}, { timezone: 'UTC' });
@@ -0,0 +1,157 @@
+// src/utils/activityScoring.js
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const ActivityFlag = require('../models/ActivityFlag');
+const { rateLimit } = require('./rateLimiter');
+const config = require('../config');
+const logger = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+const SAMPLE_LENGTH = 100;
+
+// Recent message hashes per user; expiry is set per key from the config
+const recentMessages = new NodeCache({ checkperiod: 60, useClones: false, maxKeys: 50000 });
+
+// Reactions that were already counted, so remove/re-add doesn't count twice
+const countedReactions = new NodeCache({ stdTTL: 24 * 60 * 60, checkperiod: 600, useClones: false, maxKeys: 100000 });
+
+// Flags waiting for the next flush: discordId -> { counts, lastReason, lastSample, lastFlaggedAt }
+const pendingFlags = new Map();
+
+/**
+ * Remember a key; a full cache only means we can't remember it, which
+ * is not worth failing the event over
+ */
+function remember(cache, key, ttl) {
+  try {
+    cache.set(key, true, ttl);
+  } catch (error) {
+    logger.warn('Activity scoring cache is full', { error: error.message });
+  }
+}
+
+/**
+ * Queue a flag for the user; written by flushFlags
+ */
+function flag(discordId, reason, sample = '') {
+  const entry = pendingFlags.get(discordId) || { counts: {}, lastReason: null, lastSample: '', lastFlaggedAt: null };
+  entry.counts[reason] = (entry.counts[reason] || 0) + 1;
+  entry.lastReason = reason;
+  entry.lastSample = sample.slice(0, SAMPLE_LENGTH);
+  entry.lastFlaggedAt = new Date();
+  pendingFlags.set(discordId, entry);
+}
+
+/**
+ * Text used for duplicate detection: case, spacing and punctuation ignored
+ */
+function normalizeContent(content) {
+  return content.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Decide whether a message counts toward stats and milestones
+ * @param {Object} message - Discord message
+ * @returns {Object} { counted, reason } where reason is set when not counted
+ */
+function scoreMessage(message) {
+  const { messagesPerMinute, minMessageLength, duplicateWindowMinutes } = config.antiFarming;
+  const discordId = message.author.id;
+  const content = message.content || '';
+  const hasAttachment = message.attachments?.size > 0 || message.stickers?.size > 0;
+
+  if (rateLimit(`activity:message:${discordId}`, messagesPerMinute, MINUTE_MS).limited) {
+    flag(discordId, 'rate_limit', content);
+    return { counted: false, reason: 'rate_limit' };
+  }
+
+  const normalized = normalizeContent(content);
+
+  if (!hasAttachment && normalized.length < minMessageLength) {
+    // Short replies are normal chat, just not worth a point; no flag
+    return { counted: false, reason: 'too_short' };
+  }
+
+  if (normalized) {
+    const hash = crypto.createHash('sha1').update(normalized).digest('hex');
+    const key = `${discordId}:${hash}`;
+
+    if (recentMessages.has(key)) {
+      flag(discordId, 'duplicate', content);
+      return { counted: false, reason: 'duplicate' };
+    }
+    remember(recentMessages, key, duplicateWindowMinutes * 60);
+  }
+
+  return { counted: true, reason: null };
+}
+
+/**
+ * Decide whether a reaction counts. Each user/message/emoji combination
+ * counts once a day, so toggling a reaction doesn't farm.
+ * @param {string} discordId - Reacting user
+ * @param {Object} reaction - Discord reaction
+ * @returns {Object} { counted, reason }
+ */
+function scoreReaction(discordId, reaction) {
+  const emojiKey = reaction.emoji.id || reaction.emoji.name;
+  const key = `${discordId}:${reaction.message.id}:${emojiKey}`;
+
+  if (countedReactions.has(key)) {
+    flag(discordId, 'reaction_toggle');
+    return { counted: false, reason: 'reaction_toggle' };
+  }
+
+  if (rateLimit(`activity:reaction:${discordId}`, config.antiFarming.reactionsPerMinute, MINUTE_MS).limited) {
+    flag(discordId, 'rate_limit');
+    return { counted: false, reason: 'rate_limit' };
+  }
+
+  remember(countedReactions, key);
+  return { counted: true, reason: null };
+}
+
+/**
+ * Write queued flags to ActivityFlag. Failed writes are put back.
+ */
+async function flushFlags() {
+  if (pendingFlags.size === 0) return;
+
+  const pending = new Map(pendingFlags);
+  pendingFlags.clear();
+
+  const ops = [...pending.entries()].map(([discordId, entry]) => {
+    const inc = { total: 0 };
+    for (const [reason, count] of Object.entries(entry.counts)) {
+      inc[`counts.${reason}`] = count;
+      inc.total += count;
+    }
+
+    const set = { lastReason: entry.lastReason, lastFlaggedAt: entry.lastFlaggedAt };
+    if (entry.lastSample) set.lastSample = entry.lastSample;
+
+    return {
+      updateOne: {
+        filter: { discordId },
+        update: { $inc: inc, $set: set },
+        upsert: true
+      }
+    };
+  });
+
+  try {
+    await ActivityFlag.bulkWrite(ops, { ordered: false });
+  } catch (error) {
+    logger.error('Failed to write activity flags', { error: error.message });
+    for (const [discordId, entry] of pending.entries()) {
+      if (!pendingFlags.has(discordId)) pendingFlags.set(discordId, entry);
+    }
+  }
+}
+
+module.exports = {
+  scoreMessage,
+  scoreReaction,
+  flushFlags,
+  normalizeContent
+};
@@ -1,27 +1,105 @@
 // src/utils/aggregator.js
+const statsJournal = require('./statsJournal');
+
 /**
  * userStatsAccumulator is a Map:
- *   discordId -> { messagesCount, reactionsCount, voiceMinutes, ... }
+ *   discordId -> { messagesCount, reactionsCount, voiceMinutes, coinsEarned, coinsSpent }
+ * The coin fields only go to the daily activity rollup; the User balance
+ * is already written by the economy manager.
  */
 const userStatsAccumulator = new Map();
 
+/**
+ * channelStatsAccumulator is a Map:
+ *   channelId -> { messages, countedMessages }
+ * messages is every message sent; countedMessages is what members were
+ * credited after tracking rules (0 in excluded channels, weighted elsewhere).
+ */
+const channelStatsAccumulator = new Map();
+
+function emptyUserStats() {
+  return {
+    messagesCount: 0,
+    reactionsCount: 0,
+    voiceMinutes: 0,
+    coinsEarned: 0,
+    coinsSpent: 0,
+    // add other fields if needed
+  };
+}
+
+function emptyChannelStats() {
+  return {
+    messages: 0,
+    countedMessages: 0,
+  };
+}
+
+/**
+ * Add an increment to one of the maps above (or a map shaped like them)
+ */
+function addStat(accumulator, id, field, increment, empty) {
+  if (!accumulator.has(id)) {
+    accumulator.set(id, empty());
+  }
+  accumulator.get(id)[field] += increment;
+}
+
 /**
  * accumulateUserStat
  * Increment a specified field for a given user in memory.
+ * Also journaled, so a crash before the next flush doesn't lose it.
  */
 function accumulateUserStat(discordId, field, increment = 1) {
-  if (!userStatsAccumulator.has(discordId)) {
-    userStatsAccumulator.set(discordId, {
-      messagesCount: 0,
-      reactionsCount: 0,
-      voiceMinutes: 0,
-      // add other fields if needed
-    });
+  addStat(userStatsAccumulator, discordId, field, increment, emptyUserStats);
+  statsJournal.append({ type: 'user', id: discordId, field, increment });
+}
+
+/**
+ * accumulateChannelStat
+ * Increment a specified field for a given channel in memory.
+ * Also journaled, so a crash before the next flush doesn't lose it.
+ */
+function accumulateChannelStat(channelId, field, increment = 1) {
+  addStat(channelStatsAccumulator, channelId, field, increment, emptyChannelStats);
+  statsJournal.append({ type: 'channel', id: channelId, field, increment });
+}
+
+/**
+ * Sum journal entries into fresh user and channel maps
+ * @param {Array} entries - Journal entries
+ * @returns {Object} { users, channels }
+ */
+function collectEntries(entries) {
+  const users = new Map();
+  const channels = new Map();
+  mergeEntries(entries, users, channels);
+  return { users, channels };
+}
+
+function mergeEntries(entries, users, channels) {
+  for (const { type, id, field, increment } of entries) {
+    if (type === 'user' && field in emptyUserStats()) {
+      addStat(users, id, field, increment, emptyUserStats);
+    } else if (type === 'channel' && field in emptyChannelStats()) {
+      addStat(channels, id, field, increment, emptyChannelStats);
+    }
   }
-  userStatsAccumulator.get(discordId)[field] += increment;
+}
+
+/**
+ * Load journal entries from before a restart into the accumulators.
+ * They are already in the journal, so they are not appended again.
+ */
+function restoreAccumulators(entries) {
+  mergeEntries(entries, userStatsAccumulator, channelStatsAccumulator);
 }
 
 module.exports = {
   userStatsAccumulator,
   accumulateUserStat,
-};
\ No newline at end of file
+  channelStatsAccumulator,
+  accumulateChannelStat,
+  collectEntries,
+  restoreAccumulators,
+};
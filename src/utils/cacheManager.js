@@ -56,7 +56,14 @@ class CacheManager {
       const fetchedValue = await fetchFn();
       
       if (fetchedValue !== undefined) {
-        this.set(key, fetchedValue, options.ttl);
+        try {
+          this.set(key, fetchedValue, options.ttl);
+        } catch (error) {
+          // A full cache only costs the next caller a fetch
+          this.contextLog.warn(`Could not cache key: ${key}`, {
+            error: error.message
+          });
+        }
       }
       
       return fetchedValue;
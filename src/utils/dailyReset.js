@@ -0,0 +1,121 @@
+// src/utils/dailyReset.js
+/**
+ * Calendar-day helpers for daily rewards.
+ * A "reset day" starts at `resetHour` local time in the given IANA timezone,
+ * so a claim at 23:59 and another at 00:01 (with resetHour 0) fall on
+ * different days. Uses Intl only, so no timezone database dependency.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a timezone name is understood by the runtime
+ * @param {string} timeZone - IANA timezone, e.g. "Europe/Berlin"
+ * @returns {boolean} True if valid
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getLocalParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Local time minus UTC
+ */
+function getOffsetMs(date, timeZone) {
+  const p = getLocalParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local wall-clock time in a timezone to a UTC instant
+ * @param {number} year - Local year
+ * @param {number} month - Local month (1-12)
+ * @param {number} day - Local day of month
+ * @param {number} hour - Local hour
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} UTC instant
+ */
+function localToUtc(year, month, day, hour, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  // Two passes settle the offset around DST transitions
+  let instant = guess - getOffsetMs(new Date(guess), timeZone);
+  instant = guess - getOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+/**
+ * Sequential number of the reset day a date falls on. Consecutive reset
+ * days differ by exactly 1, which makes streak checks a subtraction.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @param {number} resetHour - Local hour the day starts at (0-23)
+ * @returns {number} Day number
+ */
+function getResetDayNumber(date, timeZone, resetHour = 0) {
+  const p = getLocalParts(date, timeZone);
+  const localMidnightUtc = Date.UTC(p.year, p.month - 1, p.day);
+  const dayNumber = Math.floor(localMidnightUtc / DAY_MS);
+  return p.hour < resetHour ? dayNumber - 1 : dayNumber;
+}
+
+/**
+ * When the next reset day begins
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @param {number} resetHour - Local hour the day starts at (0-23)
+ * @returns {Date} Start of the next reset day
+ */
+function getNextReset(date, timeZone, resetHour = 0) {
+  const nextDay = new Date((getResetDayNumber(date, timeZone, resetHour) + 1) * DAY_MS);
+  return localToUtc(
+    nextDay.getUTCFullYear(),
+    nextDay.getUTCMonth() + 1,
+    nextDay.getUTCDate(),
+    resetHour,
+    timeZone
+  );
+}
+
+module.exports = {
+  isValidTimeZone,
+  getResetDayNumber,
+  getNextReset,
+};
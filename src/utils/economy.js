@@ -0,0 +1,365 @@
+// src/utils/economy.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CoinTransaction = require('../models/CoinTransaction');
+const { accumulateUserStat } = require('./aggregator');
+const logger = require('./logger');
+const { captureException } = require('./errorMonitoring');
+
+/**
+ * Result codes returned by every economy operation
+ */
+const RESULT_CODES = {
+  OK: 'OK',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  CONDITION_FAILED: 'CONDITION_FAILED'
+};
+
+/**
+ * Economy Manager
+ * Single entry point for every coin balance change. Each change is a single
+ * conditional update on the User document, so concurrent debits can never
+ * overspend, and is recorded in the CoinTransaction ledger.
+ *
+ * Every operation resolves to a result object instead of throwing for
+ * business failures:
+ *   { success, code, amount, balance, transaction, shortfall? }
+ */
+class EconomyManager {
+  constructor() {
+    this.contextLog = logger.withContext({ module: 'EconomyManager' });
+  }
+
+  /**
+   * Add coins to a user's balance
+   * @param {string} discordId - Discord ID of the user
+   * @param {number} amount - Positive number of coins to add
+   * @param {Object} options - Ledger metadata (source, reason, actorId, referenceId, username, stats, set, filter)
+   * @returns {Promise<Object>} Economy result
+   */
+  async credit(discordId, amount, options = {}) {
+    if (!this.isValidAmount(amount)) {
+      return this.failure(RESULT_CODES.INVALID_AMOUNT, amount);
+    }
+
+    return this.applyChange(discordId, amount, options);
+  }
+
+  /**
+   * Remove coins from a user's balance. Refuses to go below zero unless
+   * allowPartial is set, in which case it takes whatever is available.
+   * @param {string} discordId - Discord ID of the user
+   * @param {number} amount - Positive number of coins to remove
+   * @param {Object} options - Ledger metadata, plus allowPartial to clamp at zero
+   * @returns {Promise<Object>} Economy result
+   */
+  async debit(discordId, amount, options = {}) {
+    if (!this.isValidAmount(amount)) {
+      return this.failure(RESULT_CODES.INVALID_AMOUNT, amount);
+    }
+
+    if (options.allowPartial) {
+      return this.debitClamped(discordId, amount, options);
+    }
+
+    return this.applyChange(discordId, -amount, options);
+  }
+
+  /**
+   * Apply a signed change to a user's balance and write it to the ledger.
+   * Debits only match when the balance covers them; extra conditions can be
+   * passed as `filter` (e.g. a cooldown) and are checked in the same update.
+   * @param {string} discordId - Discord ID of the user
+   * @param {number} amount - Signed change in coins
+   * @param {Object} options - Ledger metadata
+   * @returns {Promise<Object>} Economy result
+   */
+  async applyChange(discordId, amount, options = {}) {
+    const { username, stats = {}, set = {}, filter = null } = options;
+    const isDebit = amount < 0;
+
+    const query = { discordId, ...(filter || {}) };
+    if (isDebit) {
+      query.coins = { $gte: -amount };
+    }
+
+    const update = { $inc: { coins: amount, ...stats } };
+
+    if (Object.keys(set).length > 0) {
+      update.$set = set;
+    }
+
+    if (username) {
+      update.$setOnInsert = { username };
+    }
+
+    // Only plain credits may create the user; a conditional upsert would
+    // collide with the unique discordId when the condition is not met
+    const userDoc = await User.findOneAndUpdate(
+      query,
+      update,
+      { new: true, upsert: !isDebit && !filter }
+    );
+
+    if (!userDoc) {
+      const current = await User.findOne({ discordId }, 'coins', { lean: true });
+      const balance = current?.coins || 0;
+
+      if (isDebit && balance < -amount) {
+        return this.failure(RESULT_CODES.INSUFFICIENT_FUNDS, amount, {
+          balance,
+          shortfall: -amount - balance
+        });
+      }
+
+      return this.failure(RESULT_CODES.CONDITION_FAILED, amount, { balance });
+    }
+
+    const transaction = await this.record(discordId, amount, userDoc.coins, options);
+
+    return {
+      success: true,
+      code: RESULT_CODES.OK,
+      amount,
+      balance: userDoc.coins,
+      transaction,
+      userDoc
+    };
+  }
+
+  /**
+   * Remove up to `amount` coins without letting the balance drop below zero
+   * @param {string} discordId - Discord ID of the user
+   * @param {number} amount - Maximum number of coins to remove
+   * @param {Object} options - Ledger metadata
+   * @returns {Promise<Object>} Economy result; `amount` is what was actually taken
+   */
+  async debitClamped(discordId, amount, options = {}) {
+    const { username } = options;
+
+    // Return the previous document so we know how much was actually taken
+    const previous = await User.findOneAndUpdate(
+      { discordId },
+      [
+        {
+          $set: {
+            discordId: { $ifNull: ['$discordId', discordId] },
+            username: { $ifNull: ['$username', username || null] },
+            coins: {
+              $max: [0, { $subtract: [{ $ifNull: ['$coins', 0] }, amount] }]
+            }
+          }
+        }
+      ],
+      { new: false, upsert: true }
+    );
+
+    const previousCoins = previous?.coins || 0;
+    const taken = Math.min(previousCoins, amount);
+    const balance = previousCoins - taken;
+
+    const transaction = taken > 0
+      ? await this.record(discordId, -taken, balance, options)
+      : null;
+
+    return {
+      success: true,
+      code: RESULT_CODES.OK,
+      amount: -taken,
+      balance,
+      transaction
+    };
+  }
+
+  /**
+   * Move coins from one user to another. The sender is debited the full
+   * amount; the tax share is burned and the rest is credited to the recipient.
+   * Both ledger entries share a transfer ID as their referenceId.
+   * @param {string} fromId - Discord ID of the sender
+   * @param {string} toId - Discord ID of the recipient
+   * @param {number} amount - Coins taken from the sender
+   * @param {Object} options - taxPercent, note, toUsername
+   * @returns {Promise<Object>} Economy result with received, tax and transferId
+   */
+  async transfer(fromId, toId, amount, options = {}) {
+    const { taxPercent = 0, note = '', toUsername } = options;
+
+    if (!this.isValidAmount(amount)) {
+      return this.failure(RESULT_CODES.INVALID_AMOUNT, amount);
+    }
+
+    const tax = Math.floor(amount * taxPercent / 100);
+    const received = amount - tax;
+    const transferId = new mongoose.Types.ObjectId().toString();
+    const noteSuffix = note ? `: ${note}` : '';
+
+    const sent = await this.debit(fromId, amount, {
+      source: 'transfer_out',
+      reason: `Sent to ${toId}${tax > 0 ? ` (${tax} burned as tax)` : ''}${noteSuffix}`,
+      actorId: fromId,
+      referenceId: transferId
+    });
+
+    if (!sent.success) {
+      return sent;
+    }
+
+    if (received > 0) {
+      try {
+        await this.credit(toId, received, {
+          source: 'transfer_in',
+          reason: `Received from ${fromId}${noteSuffix}`,
+          actorId: fromId,
+          referenceId: transferId,
+          username: toUsername
+        });
+      } catch (error) {
+        // Give the sender their coins back so nothing is lost mid-transfer
+        await this.credit(fromId, amount, {
+          source: 'refund',
+          reason: 'Transfer could not be delivered',
+          referenceId: transferId
+        });
+        throw error;
+      }
+    }
+
+    this.contextLog.info('Transferred coins', { fromId, toId, amount, tax, transferId });
+
+    return { ...sent, received, tax, transferId };
+  }
+
+  /**
+   * Set every non-zero balance back to zero, one ledger entry per user
+   * @param {Object} options - Ledger metadata (actorId, reason)
+   * @returns {Promise<number>} Number of balances that were reset
+   */
+  async resetAllBalances(options = {}) {
+    const cursor = User.find({ coins: { $ne: 0 } }, 'discordId', { lean: true }).cursor();
+    let resetCount = 0;
+
+    for await (const { discordId } of cursor) {
+      // Take the exact balance that was zeroed, in case it moved since the query
+      const previous = await User.findOneAndUpdate(
+        { discordId, coins: { $ne: 0 } },
+        { $set: { coins: 0 } },
+        { new: false, projection: { coins: 1 } }
+      );
+
+      if (!previous) continue;
+
+      await this.record(discordId, -previous.coins, 0, {
+        source: 'admin_reset',
+        ...options
+      });
+      resetCount++;
+    }
+
+    this.contextLog.info('Reset all coin balances', { resetCount, actorId: options.actorId });
+
+    return resetCount;
+  }
+
+  /**
+   * Compare a user's stored balance with the sum of their ledger entries
+   * @param {string} discordId - Discord ID of the user
+   * @returns {Promise<Object>} Balance, ledger total and the difference between them
+   */
+  async reconcile(discordId) {
+    const [userDoc, ledger] = await Promise.all([
+      User.findOne({ discordId }, 'coins', { lean: true }),
+      CoinTransaction.sumForUser(discordId)
+    ]);
+
+    const balance = userDoc?.coins || 0;
+
+    return {
+      discordId,
+      balance,
+      ledgerTotal: ledger.total,
+      entries: ledger.count,
+      difference: balance - ledger.total,
+      consistent: balance === ledger.total
+    };
+  }
+
+  /**
+   * Write a ledger entry. A failure here must not undo the balance change
+   * that already happened, so it is reported instead of thrown.
+   * @returns {Promise<Object|null>} The ledger entry, or null if it could not be written
+   */
+  async record(discordId, amount, balanceAfter, options = {}) {
+    const { source, reason = '', actorId = null, referenceId = null } = options;
+
+    // Daily earned/spent totals are written with the next stats flush
+    if (CoinTransaction.EARNING_SOURCES.includes(source) && amount > 0) {
+      accumulateUserStat(discordId, 'coinsEarned', amount);
+    } else if (CoinTransaction.SPENDING_SOURCES.includes(source)) {
+      accumulateUserStat(discordId, 'coinsSpent', -amount);
+    }
+
+    try {
+      return await CoinTransaction.create({
+        discordId,
+        amount,
+        balanceAfter,
+        source,
+        reason,
+        actorId,
+        referenceId: referenceId !== null ? String(referenceId) : null
+      });
+    } catch (error) {
+      captureException(error, {
+        area: 'economy-ledger',
+        discordId,
+        amount,
+        source
+      });
+
+      this.contextLog.error('Failed to write coin transaction', {
+        error: error.message,
+        discordId,
+        amount,
+        source
+      });
+
+      return null;
+    }
+  }
+
+  /**
+   * Only positive whole coin amounts can be moved
+   * @param {number} amount - Amount to check
+   * @returns {boolean} True if the amount is valid
+   */
+  isValidAmount(amount) {
+    return Number.isInteger(amount) && amount > 0;
+  }
+
+  /**
+   * Build a failed economy result
+   * @param {string} code - One of RESULT_CODES
+   * @param {number} amount - Requested amount
+   * @param {Object} details - Extra fields (balance, shortfall)
+   * @returns {Object} Economy result
+   */
+  failure(code, amount, details = {}) {
+    this.contextLog.debug('Economy operation refused', { code, amount, ...details });
+
+    return {
+      success: false,
+      code,
+      amount,
+      balance: null,
+      transaction: null,
+      ...details
+    };
+  }
+}
+
+// Create singleton instance
+const economy = new EconomyManager();
+
+module.exports = economy;
+module.exports.RESULT_CODES = RESULT_CODES;
@@ -1,7 +1,19 @@
 // src/utils/flushStats.js
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { userStatsAccumulator } = require('./aggregator');
+const ActivityDaily = require('../models/ActivityDaily');
+const ChannelActivityDaily = require('../models/ChannelActivityDaily');
+const StatsBatch = require('../models/StatsBatch');
+const {
+  userStatsAccumulator,
+  channelStatsAccumulator,
+  collectEntries,
+  restoreAccumulators,
+} = require('./aggregator');
+const statsJournal = require('./statsJournal');
 const checkMilestones = require('./milestoneCheck');
+const { flushFlags } = require('./activityScoring');
+const { captureException } = require('./errorMonitoring');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -9,59 +21,260 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console({ format: winston.format.simple() })],
 });
 
-async function flushStatsToDB() {
-  if (userStatsAccumulator.size === 0) {
-    return; // Nothing to flush
+// A batch that keeps failing is set aside so the ones after it can go through
+const MAX_ATTEMPTS = 10;
+
+// Batches taken from memory (or recovered from the journal) that aren't in StatsBatch yet
+const unstagedBatches = [];
+
+// The flush in progress, if any
+let flushing = null;
+
+/**
+ * Build a StatsBatch document from accumulator-shaped maps
+ */
+function buildBatch(batchId, day, users, channels) {
+  return {
+    _id: batchId,
+    day,
+    users: [...users.entries()].map(([discordId, increments]) => ({ discordId, ...increments })),
+    channels: [...channels.entries()].map(([channelId, increments]) => ({ channelId, ...increments })),
+  };
+}
+
+/**
+ * Move what has accumulated so far into a new batch. The journal is rotated
+ * in the same tick, so it holds exactly the increments of that batch;
+ * anything added while the flush runs (e.g. coins from milestone rewards)
+ * waits for the next one.
+ */
+function takeBatch() {
+  if (userStatsAccumulator.size === 0 && channelStatsAccumulator.size === 0) return;
+
+  const batchId = new mongoose.Types.ObjectId();
+  unstagedBatches.push(buildBatch(batchId, ActivityDaily.dayStart(), userStatsAccumulator, channelStatsAccumulator));
+  userStatsAccumulator.clear();
+  channelStatsAccumulator.clear();
+  statsJournal.rotate(batchId);
+}
+
+/**
+ * Write taken batches to StatsBatch; their journal files are no longer needed after that
+ */
+async function stageBatches() {
+  while (unstagedBatches.length > 0) {
+    const batch = unstagedBatches[0];
+    try {
+      await StatsBatch.create(batch);
+    } catch (error) {
+      // Already staged by an attempt that failed before discarding the journal
+      if (error.code !== 11000) throw error;
+    }
+    statsJournal.discard(batch._id);
+    unstagedBatches.shift();
   }
+}
+
+/**
+ * bulkWrite that tolerates the duplicate key errors of upserts whose
+ * document already has the batch (the filter skips it, so the upsert
+ * tries to insert a second copy)
+ */
+async function bulkWriteOnce(Model, ops) {
+  if (ops.length === 0) return;
 
   try {
-    const bulkOps = [];
-    const updatedDiscordIds = [];
+    await Model.bulkWrite(ops, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+      throw error;
+    }
+  }
+}
 
-    for (const [discordId, increments] of userStatsAccumulator.entries()) {
-      const incFields = {};
+/**
+ * Apply one staged batch. Every update only matches documents that haven't
+ * seen this batch (or a later one) and stamps them with it, so applying it
+ * again after a partial failure adds only what is missing.
+ */
+async function applyBatch(batch) {
+  const notYetApplied = { lastStatsBatch: { $not: { $gte: batch._id } } };
+  const stamp = { lastStatsBatch: batch._id };
+  const userOps = [];
+  const dailyOps = [];
+  const updatedDiscordIds = [];
 
-      if (increments.messagesCount > 0) {
-        incFields.messagesCount = increments.messagesCount;
-      }
-      if (increments.reactionsCount > 0) {
-        incFields.reactionsCount = increments.reactionsCount;
-      }
-      if (increments.voiceMinutes > 0) {
-        incFields.voiceMinutes = increments.voiceMinutes;
-      }
-      // add other fields as needed
+  for (const increments of batch.users) {
+    const { discordId } = increments;
+    const incFields = {};
 
-      if (Object.keys(incFields).length === 0) continue;
+    if (increments.messagesCount > 0) {
+      incFields.messagesCount = increments.messagesCount;
+    }
+    if (increments.reactionsCount > 0) {
+      incFields.reactionsCount = increments.reactionsCount;
+    }
+    if (increments.voiceMinutes > 0) {
+      incFields.voiceMinutes = increments.voiceMinutes;
+    }
+    // add other fields as needed
 
-      bulkOps.push({
+    // The day's rollup also carries coin movement, which is already on the balance
+    if (Object.keys(incFields).length > 0 || increments.coinsEarned || increments.coinsSpent) {
+      dailyOps.push({
         updateOne: {
-          filter: { discordId },
+          filter: { discordId, day: batch.day, ...notYetApplied },
           update: {
-            $inc: incFields,
-            $setOnInsert: { discordId },
+            $inc: {
+              messages: incFields.messagesCount || 0,
+              reactions: incFields.reactionsCount || 0,
+              voiceMinutes: incFields.voiceMinutes || 0,
+              coinsEarned: increments.coinsEarned || 0,
+              coinsSpent: increments.coinsSpent || 0,
+            },
+            $set: stamp,
           },
           upsert: true,
         },
       });
-      updatedDiscordIds.push(discordId);
     }
 
-    if (bulkOps.length > 0) {
-      await User.bulkWrite(bulkOps);
-      logger.info(`Flushed ${bulkOps.length} user stat update(s) to DB.`);
+    if (Object.keys(incFields).length === 0) continue;
+
+    userOps.push({
+      updateOne: {
+        filter: { discordId, ...notYetApplied },
+        update: {
+          $inc: incFields,
+          $set: stamp,
+          $setOnInsert: { discordId },
+        },
+        upsert: true,
+      },
+    });
+    updatedDiscordIds.push(discordId);
+  }
+
+  const channelOps = batch.channels.map(({ channelId, messages, countedMessages }) => ({
+    updateOne: {
+      filter: { channelId, day: batch.day, ...notYetApplied },
+      update: { $inc: { messages, countedMessages }, $set: stamp },
+      upsert: true,
+    },
+  }));
+
+  await bulkWriteOnce(User, userOps);
+  await bulkWriteOnce(ActivityDaily, dailyOps);
+  await bulkWriteOnce(ChannelActivityDaily, channelOps);
+  await StatsBatch.updateOne({ _id: batch._id }, { $set: { status: 'applied', appliedAt: new Date() } });
+
+  if (userOps.length > 0) {
+    logger.info(`Flushed ${userOps.length} user stat update(s) to DB.`);
+  }
 
-      // Now fetch updated docs to run milestone checks
+  if (updatedDiscordIds.length > 0) {
+    // Milestones follow the stats; a failure here must not re-apply the batch
+    try {
       const updatedUsers = await User.find({ discordId: { $in: updatedDiscordIds } });
       for (const userDoc of updatedUsers) {
         await checkMilestones(userDoc);
       }
+    } catch (error) {
+      logger.error('Error checking milestones after flush:', error);
+    }
+  }
+}
+
+/**
+ * Apply staged batches oldest first. A later batch stamps documents that
+ * an earlier one may still need, so the first failure stops the run.
+ */
+async function applyPendingBatches() {
+  const batches = await StatsBatch.find({ status: 'pending' }, null, { lean: true, sort: { _id: 1 } });
+
+  for (const batch of batches) {
+    try {
+      await applyBatch(batch);
+    } catch (error) {
+      const attempts = batch.attempts + 1;
+      const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+
+      await StatsBatch.updateOne(
+        { _id: batch._id },
+        { $set: { attempts, status, lastError: error.message } }
+      ).catch(() => {});
+
+      if (status === 'failed') {
+        captureException(error, { area: 'stats-flush', batchId: String(batch._id) });
+        logger.error(`Giving up on stats batch ${batch._id} after ${attempts} attempts:`, error);
+        continue;
+      }
+      throw error;
     }
+  }
+}
 
-    userStatsAccumulator.clear();
+async function runFlush() {
+  // Anti-farming flags go out on the same cadence; they don't affect stats
+  await flushFlags();
+
+  takeBatch();
+
+  try {
+    await stageBatches();
+    await applyPendingBatches();
+    return true;
   } catch (error) {
+    // Staged batches are retried by the next flush; unstaged ones are still journaled
     logger.error('Error flushing stats to DB:', error);
+    return false;
   }
 }
 
-module.exports = flushStatsToDB;
\ No newline at end of file
+/**
+ * Flush accumulated stats. Runs one at a time; a caller arriving during a
+ * flush (e.g. shutdown) waits for it and then flushes again.
+ * @returns {Promise<boolean>} Whether everything staged so far was applied
+ */
+async function flushStatsToDB() {
+  while (flushing) {
+    await flushing;
+  }
+
+  flushing = runFlush();
+  try {
+    return await flushing;
+  } finally {
+    flushing = null;
+  }
+}
+
+/**
+ * Pick up stats left in the journal by the previous run. Call once on
+ * startup, before any events are handled.
+ * @returns {Object} { entries, batches } - replayed entries and recovered batches
+ */
+function recoverStats() {
+  const { current, pending } = statsJournal.readLeftovers();
+
+  // Not yet flushed: back into memory, the journal already has them
+  restoreAccumulators(current);
+
+  // Taken by a flush but maybe not staged: staged again under the same id,
+  // which is a no-op if the earlier attempt got through
+  for (const { batchId, entries, modifiedAt } of pending) {
+    if (!mongoose.isValidObjectId(batchId)) continue;
+
+    const { users, channels } = collectEntries(entries);
+    unstagedBatches.push(
+      buildBatch(new mongoose.Types.ObjectId(batchId), ActivityDaily.dayStart(modifiedAt), users, channels)
+    );
+  }
+  unstagedBatches.sort((a, b) => a._id.toString().localeCompare(b._id.toString()));
+
+  return { entries: current.length, batches: pending.length };
+}
+
+module.exports = flushStatsToDB;
+module.exports.recoverStats = recoverStats;
@@ -0,0 +1,144 @@
+// src/utils/gmRewards.js
+const GmRewardConfig = require('../models/GmRewardConfig');
+const { defaultCache } = require('./cacheManager');
+
+const CONFIG_CACHE_KEY = 'gm:reward-config';
+
+/**
+ * pickWeighted(min, max)
+ * Returns a random integer in [min..max], using 1/(k^2) weighting:
+ * smaller k is more likely, larger k is rarer.
+ */
+function pickWeighted(min, max) {
+  const weights = [];
+  let sum = 0;
+
+  for (let k = min; k <= max; k++) {
+    const w = 1 / (k * k);
+    weights.push(w);
+    sum += w;
+  }
+
+  const r = Math.random() * sum;
+  let cumulative = 0;
+
+  for (let i = 0; i < weights.length; i++) {
+    cumulative += weights[i];
+    if (r <= cumulative) {
+      return min + i;
+    }
+  }
+  // Fallback
+  return max;
+}
+
+/**
+ * Probability of each value inside a tier, summing to 1
+ * @param {Object} tier - { min, max, curve }
+ * @returns {Array} [{ value, probability }]
+ */
+function getTierDistribution(tier) {
+  const values = [];
+  let sum = 0;
+
+  for (let k = tier.min; k <= tier.max; k++) {
+    const w = tier.curve === 'inverse_square' ? 1 / (k * k) : 1;
+    values.push({ value: k, probability: w });
+    sum += w;
+  }
+
+  return values.map(v => ({ value: v.value, probability: v.probability / sum }));
+}
+
+/**
+ * Pick a reward from a weighted tier table
+ * @param {Array} tiers - Reward tiers
+ * @returns {number} Reward in coins
+ */
+function pickReward(tiers) {
+  const totalWeight = tiers.reduce((sum, tier) => sum + tier.weight, 0);
+  let r = Math.random() * totalWeight;
+
+  for (const tier of tiers) {
+    r -= tier.weight;
+    if (r < 0) {
+      return tier.curve === 'inverse_square'
+        ? pickWeighted(tier.min, tier.max)
+        : tier.min + Math.floor(Math.random() * (tier.max - tier.min + 1));
+    }
+  }
+
+  // Fallback for rounding at the very end of the range
+  const last = tiers[tiers.length - 1];
+  return last ? last.max : 1;
+}
+
+/**
+ * Exact expected value and variance of a tier table
+ * @param {Array} tiers - Reward tiers
+ * @param {number} multiplier - Multiplier applied to every reward
+ * @returns {Object} { expectedValue, variance, stdDev }
+ */
+function describeDistribution(tiers, multiplier = 1) {
+  const totalWeight = tiers.reduce((sum, tier) => sum + tier.weight, 0);
+  if (totalWeight <= 0) {
+    return { expectedValue: 0, variance: 0, stdDev: 0 };
+  }
+
+  let mean = 0;
+  let meanOfSquares = 0;
+
+  for (const tier of tiers) {
+    const tierProbability = tier.weight / totalWeight;
+    for (const { value, probability } of getTierDistribution(tier)) {
+      const p = tierProbability * probability;
+      mean += p * value;
+      meanOfSquares += p * value * value;
+    }
+  }
+
+  const variance = (meanOfSquares - mean * mean) * multiplier * multiplier;
+
+  return {
+    expectedValue: mean * multiplier,
+    variance,
+    stdDev: Math.sqrt(variance)
+  };
+}
+
+/**
+ * Combined multiplier of all events running at the given time
+ * @param {Object} config - GmRewardConfig document
+ * @param {Date} at - Point in time
+ * @returns {Object} { multiplier, events }
+ */
+function getEventMultiplier(config, at = new Date()) {
+  const events = config.getActiveEvents(at);
+  const multiplier = events.reduce((product, event) => product * event.multiplier, 1);
+  return { multiplier, events };
+}
+
+/**
+ * Load the GM reward config (cached for a minute)
+ * @returns {Promise<Object>} GmRewardConfig document
+ */
+function getRewardConfig() {
+  return defaultCache.getOrFetch(CONFIG_CACHE_KEY, () => GmRewardConfig.getConfig(), { ttl: 60 });
+}
+
+/**
+ * Drop the cached config after an edit
+ */
+function invalidateRewardConfig() {
+  defaultCache.del(CONFIG_CACHE_KEY);
+}
+
+module.exports = {
+  pickWeighted,
+  pickReward,
+  getTierDistribution,
+  describeDistribution,
+  getEventMultiplier,
+  getRewardConfig,
+  invalidateRewardConfig,
+};
@@ -0,0 +1,97 @@
+// src/utils/itemHandlerRegistry.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Item Handler Registry - Maps a consumable's effect to the code that runs on /use.
+ *
+ * A handler is an object with:
+ * - description: shown to admins when picking an effect
+ * - needsEffectValue: true if the item's effect value (a positive whole
+ *   number) is required, e.g. the coins in a coin pouch
+ * - use({ interaction, entry }): performs the effect and resolves to
+ *   { consumed: boolean, message: string }. Returning consumed: false
+ *   gives the item back (e.g. the effect could not apply right now).
+ */
+class ItemHandlerRegistry {
+  constructor() {
+    this.handlers = new Map();
+    this.contextLog = logger.withContext({ module: 'ItemHandlerRegistry' });
+  }
+
+  /**
+   * Register a handler for an effect
+   * @param {string} effect - Effect name stored on the item
+   * @param {object} handler - Handler with a use method
+   */
+  register(effect, handler) {
+    if (this.handlers.has(effect)) {
+      this.contextLog.warn(`Item handler ${effect} already registered. Overwriting.`);
+    }
+
+    this.handlers.set(effect, handler);
+    this.contextLog.debug(`Registered item handler: ${effect}`);
+  }
+
+  /**
+   * Look up the handler for an effect
+   * @param {string} effect - Effect name
+   * @returns {object|undefined} Handler
+   */
+  get(effect) {
+    return this.handlers.get(effect);
+  }
+
+  /**
+   * Load all handlers from the items directory. Each file registers itself.
+   * @returns {number} Number of registered handlers
+   */
+  loadHandlers() {
+    const handlersPath = path.join(__dirname, '../items');
+    const handlerFiles = fs.readdirSync(handlersPath).filter(file => file.endsWith('.js'));
+
+    for (const file of handlerFiles) {
+      try {
+        require(path.join(handlersPath, file));
+      } catch (error) {
+        this.contextLog.error(`Failed to load item handler file: ${file}`, {
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+
+    this.contextLog.info(`Loaded ${this.handlers.size} item handlers`);
+    return this.handlers.size;
+  }
+
+  /**
+   * Get all registered effect names
+   * @returns {Array} Array of effect names
+   */
+  getEffectNames() {
+    return Array.from(this.handlers.keys());
+  }
+
+  /**
+   * Slash command choices for picking an effect, loading the handlers if
+   * that hasn't happened yet
+   * @returns {Array} [{ name, value }] using each handler's description
+   */
+  getEffectChoices() {
+    if (this.handlers.size === 0) {
+      this.loadHandlers();
+    }
+
+    return Array.from(this.handlers.entries()).map(([effect, handler]) => ({
+      name: (handler.description || effect).slice(0, 100),
+      value: effect
+    }));
+  }
+}
+
+// Singleton instance
+const itemHandlerRegistry = new ItemHandlerRegistry();
+
+module.exports = itemHandlerRegistry;
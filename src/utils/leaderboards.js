@@ -0,0 +1,196 @@
+// src/utils/leaderboards.js
+const User = require('../models/User');
+const ActivityDaily = require('../models/ActivityDaily');
+const CoinTransaction = require('../models/CoinTransaction');
+const { hasTeamRole } = require('./roleCheck');
+const { defaultCache } = require('./cacheManager');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Candidates ranked per board before Team members and leavers are removed
+const RANKING_LIMIT = 100;
+
+/**
+ * What each metric ranks by. All-time boards read the lifetime counter on
+ * User (userField); time windows read the daily buckets (dailyField) or
+ * the coin ledger (sources). lifetimeOnly metrics ignore the period.
+ * windowLabel replaces the label when a time window is used.
+ */
+const METRICS = {
+  coins: {
+    label: 'Coins',
+    windowLabel: 'Coins earned',
+    unit: 'coins',
+    userField: 'coins',
+    sources: CoinTransaction.EARNING_SOURCES
+  },
+  messages: {
+    label: 'Messages',
+    unit: 'messages',
+    userField: 'messagesCount',
+    dailyField: 'messages'
+  },
+  voice: {
+    label: 'Voice',
+    unit: 'minutes',
+    userField: 'voiceMinutes',
+    dailyField: 'voiceMinutes'
+  },
+  reactions: {
+    label: 'Reactions',
+    unit: 'reactions',
+    userField: 'reactionsCount',
+    dailyField: 'reactions'
+  },
+  likes: {
+    label: 'Tweet likes',
+    unit: 'likes',
+    userField: 'totalLikes',
+    sources: ['tweet_like'],
+    count: true
+  },
+  retweets: {
+    label: 'Retweets',
+    unit: 'retweets',
+    userField: 'totalRetweets',
+    sources: ['tweet_retweet'],
+    count: true
+  },
+  'gm-streak': {
+    label: 'GM streak',
+    unit: 'days',
+    userField: 'gmStreak',
+    lifetimeOnly: true
+  }
+};
+
+const PERIODS = {
+  daily: 'Today',
+  weekly: 'This week',
+  monthly: 'This month',
+  all: 'All time'
+};
+
+/**
+ * Window of the period containing `now`, in UTC: the day, the week from
+ * Monday, or the calendar month. `end` is the start of the next period.
+ * Null for all time.
+ * @param {string} period - daily, weekly, monthly or all
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { start, end }
+ */
+function getPeriodWindow(period, now = new Date()) {
+  const midnight = Math.floor(now.getTime() / DAY_MS) * DAY_MS;
+
+  switch (period) {
+    case 'daily':
+      return { start: new Date(midnight), end: new Date(midnight + DAY_MS) };
+    case 'weekly': {
+      const monday = midnight - ((now.getUTCDay() + 6) % 7) * DAY_MS;
+      return { start: new Date(monday), end: new Date(monday + 7 * DAY_MS) };
+    }
+    case 'monthly':
+      return {
+        start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+        end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Raw ranking for a metric and period, Team members included
+ * @param {string} metric - Key of METRICS
+ * @param {string} period - Key of PERIODS
+ * @param {Object} options - now (any time inside the period to rank), limit
+ * @returns {Promise<Array>} [{ discordId, value }], highest first
+ */
+async function getRankings(metric, period, { now = new Date(), limit = RANKING_LIMIT } = {}) {
+  const definition = METRICS[metric];
+  if (!definition) {
+    throw new Error(`Unknown leaderboard metric: ${metric}`);
+  }
+
+  const window = definition.lifetimeOnly ? null : getPeriodWindow(period, now);
+
+  if (!window) {
+    const field = definition.userField;
+    const users = await User.find({ [field]: { $gt: 0 } }, `discordId ${field}`, {
+      lean: true,
+      sort: { [field]: -1, discordId: 1 },
+      limit
+    });
+    return users.map(userDoc => ({ discordId: userDoc.discordId, value: userDoc[field] }));
+  }
+
+  if (definition.dailyField) {
+    return ActivityDaily.topBetween(definition.dailyField, window.start, window.end, limit);
+  }
+
+  return CoinTransaction.topBetween(definition.sources, window.start, window.end, limit, { count: definition.count });
+}
+
+/**
+ * Drop users who left the guild or have a Team role
+ * @param {Object} guild - Discord guild
+ * @param {Array} rankings - [{ discordId, value }] from getRankings
+ * @returns {Promise<Array>} [{ discordId, username, value }], order kept
+ */
+async function filterRankings(guild, rankings) {
+  // Only fetch what we don't have in cache
+  const membersToFetch = rankings
+    .map(entry => entry.discordId)
+    .filter(discordId => !guild.members.cache.has(discordId));
+  if (membersToFetch.length > 0) {
+    await guild.members.fetch({ user: membersToFetch });
+  }
+
+  const entries = [];
+  for (const entry of rankings) {
+    const member = guild.members.cache.get(entry.discordId);
+    if (!member || hasTeamRole(member)) continue;
+    entries.push({ discordId: entry.discordId, username: member.user.username, value: entry.value });
+  }
+  return entries;
+}
+
+/**
+ * Current ranking without Team members, cached for a minute per metric
+ * and period
+ * @param {Object} guild - Discord guild
+ * @param {string} metric - Key of METRICS
+ * @param {string} period - Key of PERIODS
+ * @returns {Promise<Array>} [{ discordId, username, value }], highest first
+ */
+function getGuildLeaderboard(guild, metric, period) {
+  return defaultCache.getOrFetch(
+    `leaderboard:${guild.id}:${metric}:${period}`,
+    async () => filterRankings(guild, await getRankings(metric, period)),
+    { ttl: 60 }
+  );
+}
+
+/**
+ * Display a metric value, e.g. "1,234 messages" or "5h 20m"
+ * @param {string} metric - Key of METRICS
+ * @param {number} value - Ranked value
+ * @returns {string} Formatted value
+ */
+function formatMetricValue(metric, value) {
+  if (metric === 'voice') {
+    const hours = Math.floor(value / 60);
+    return hours ? `${hours.toLocaleString()}h ${value % 60}m` : `${value}m`;
+  }
+  return `${value.toLocaleString()} ${METRICS[metric].unit}`;
+}
+
+module.exports = {
+  METRICS,
+  PERIODS,
+  getPeriodWindow,
+  getRankings,
+  filterRankings,
+  getGuildLeaderboard,
+  formatMetricValue
+};
@@ -0,0 +1,131 @@
+// src/utils/marketplacePricing.js
+const MarketplaceItem = require('../models/MarketplaceItem');
+const MarketplaceSale = require('../models/MarketplaceSale');
+const { defaultCache } = require('./cacheManager');
+
+const SALES_CACHE_KEY = 'marketplace-sales:active';
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Current demand level of an item. Each purchase adds 1 and the level
+ * halves every demandHalfLifeHours.
+ * @param {Object} item - MarketplaceItem document
+ * @param {Date} at - Point in time
+ * @returns {number} Decayed demand level
+ */
+function getDemandLevel(item, at = new Date()) {
+  if (!item.demandLevel || !item.demandUpdatedAt) return 0;
+
+  const elapsedHours = Math.max(0, at - item.demandUpdatedAt) / HOUR_MS;
+  return item.demandLevel * Math.pow(0.5, elapsedHours / item.demandHalfLifeHours);
+}
+
+/**
+ * Price multiplier from demand, e.g. 1.1 after one recent purchase with a 10% step
+ * @param {Object} item - MarketplaceItem document
+ * @param {Date} at - Point in time
+ * @returns {number} Multiplier >= 1
+ */
+function getDemandMultiplier(item, at = new Date()) {
+  if (!item.demandStepPercent) return 1;
+  return 1 + (item.demandStepPercent / 100) * getDemandLevel(item, at);
+}
+
+/**
+ * Active sales, cached for a minute
+ * @returns {Promise<Array>} MarketplaceSale objects
+ */
+function getActiveSales() {
+  return defaultCache.getOrFetch(SALES_CACHE_KEY, () => MarketplaceSale.findActive(), { ttl: 60 });
+}
+
+/**
+ * Drop cached sales after an admin change
+ */
+function invalidateSales() {
+  defaultCache.del(SALES_CACHE_KEY);
+}
+
+/**
+ * What an item costs right now
+ * @param {Object} item - MarketplaceItem document
+ * @param {Array} sales - Active sales (from getActiveSales)
+ * @param {Date} at - Point in time
+ * @returns {Object} { basePrice, listPrice, price, percentOff, sale }
+ *   listPrice includes demand; price is what the buyer pays
+ */
+function getEffectivePrice(item, sales, at = new Date()) {
+  const relevant = sales.filter(sale =>
+    sale.startsAt <= at && sale.endsAt > at && MarketplaceSale.appliesTo(sale, item)
+  );
+  const sale = relevant.reduce((best, current) =>
+    !best || current.percentOff > best.percentOff ? current : best, null);
+
+  const listPrice = Math.max(1, Math.round(item.price * getDemandMultiplier(item, at)));
+  const percentOff = sale ? sale.percentOff : 0;
+  const price = Math.max(1, Math.round(listPrice * (1 - percentOff / 100)));
+
+  return { basePrice: item.price, listPrice, price, percentOff, sale };
+}
+
+/**
+ * Format a price for embeds, striking through the undiscounted one
+ * @param {Object} pricing - Result of getEffectivePrice
+ * @returns {string} e.g. "~~120~~ **90** coins (-25% Halloween)"
+ */
+function formatPrice(pricing) {
+  if (!pricing.sale) {
+    return `**${pricing.price}** coins`;
+  }
+
+  return `~~${pricing.listPrice}~~ **${pricing.price}** coins (-${pricing.percentOff}% ${pricing.sale.name})`;
+}
+
+/**
+ * Bump an item's demand after a purchase, decaying the stored level first.
+ * Done in one update so concurrent purchases both count.
+ * @param {Object} item - MarketplaceItem document
+ */
+async function recordDemand(item) {
+  if (!item.demandStepPercent) return;
+
+  const now = new Date();
+  await MarketplaceItem.updateOne({ _id: item._id }, [
+    {
+      $set: {
+        demandLevel: {
+          $add: [
+            {
+              $multiply: [
+                { $ifNull: ['$demandLevel', 0] },
+                {
+                  $pow: [
+                    0.5,
+                    {
+                      $divide: [
+                        { $subtract: [now, { $ifNull: ['$demandUpdatedAt', now] }] },
+                        { $multiply: ['$demandHalfLifeHours', HOUR_MS] }
+                      ]
+                    }
+                  ]
+                }
+              ]
+            },
+            1
+          ]
+        },
+        demandUpdatedAt: now
+      }
+    }
+  ]);
+}
+
+module.exports = {
+  getDemandLevel,
+  getDemandMultiplier,
+  getActiveSales,
+  invalidateSales,
+  getEffectivePrice,
+  formatPrice,
+  recordDemand,
+};
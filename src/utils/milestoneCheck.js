@@ -1,4 +1,11 @@
 // src/utils/milestoneCheck.js
+const economy = require('./economy');
+const Milestone = require('../models/Milestone');
+const { MILESTONE_METRICS } = Milestone;
+const MilestoneClaim = require('../models/MilestoneClaim');
+const { defaultCache } = require('./cacheManager');
+const { formatMetricValue } = require('./leaderboards');
+const config = require('../config');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -6,57 +13,122 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console({ format: winston.format.simple() })],
 });
 
+const MILESTONES_CACHE_KEY = 'milestones';
+
+/**
+ * All milestones, lowest threshold first, cached for five minutes
+ * @returns {Promise<Array>} Milestone objects
+ */
+function getMilestones() {
+  return defaultCache.getOrFetch(
+    MILESTONES_CACHE_KEY,
+    () => Milestone.find({}, null, { lean: true, sort: { metric: 1, threshold: 1 } }),
+    { ttl: 300 }
+  );
+}
+
+/**
+ * Drop the cached milestones after they change
+ */
+function invalidateMilestones() {
+  defaultCache.del(MILESTONES_CACHE_KEY);
+}
+
+/**
+ * Human-readable milestone, e.g. "100 messages" or "1h 30m in voice"
+ */
+function describeMilestone({ metric, threshold }) {
+  const value = formatMetricValue(metric, threshold);
+  return metric === 'voice' ? `${value} in voice` : value;
+}
+
+/**
+ * Post reached milestones to the announcement channel, if one is set
+ */
+async function announceMilestones(discordId, reached) {
+  const channelId = config.milestones.announceChannelId;
+  const client = global.discordClient;
+  if (!channelId || !client?.isReady()) return;
+
+  const achievements = reached
+    .map(milestone => `**${describeMilestone(milestone)}** (+${milestone.reward} coins)`)
+    .join(', ');
+
+  try {
+    const channel = await client.channels.fetch(channelId);
+    await channel.send({
+      content: `🏅 <@${discordId}> reached ${achievements}!`,
+      allowedMentions: { users: [discordId] }
+    });
+  } catch (err) {
+    logger.error('Error announcing milestones:', err);
+  }
+}
+
 /**
- * Checks userDoc fields against milestone thresholds and awards coins accordingly.
+ * Checks userDoc counters against every milestone and pays each one the
+ * user has reached but not claimed yet, however far past it they are.
  * Integrates with aggregator-based increments after they are saved.
+ * @param {Object} userDoc - User document with up-to-date counters
+ * @returns {Promise<Array>} Milestones paid now
  */
 async function checkMilestones(userDoc) {
-  const milestones = {
-    messages: [
-      { threshold: 50, reward: 1 },
-      { threshold: 100, reward: 2 },
-      // add more if desired
-    ],
-    reactions: [
-      { threshold: 50, reward: 1 },
-    ],
-    voice: [
-      { threshold: 30, reward: 1 },
-    ],
-  };
-
-  let coinsToAward = 0;
-
-  // Check messages
-  for (const m of milestones.messages) {
-    if (userDoc.messagesCount === m.threshold) {
-      coinsToAward += m.reward;
-    }
-  }
+  const crossed = (await getMilestones())
+    .filter(milestone => (userDoc[MILESTONE_METRICS[milestone.metric]] || 0) >= milestone.threshold);
+  if (crossed.length === 0) return [];
 
-  // Check reactions
-  for (const r of milestones.reactions) {
-    if (userDoc.reactionsCount === r.threshold) {
-      coinsToAward += r.reward;
-    }
-  }
+  const claims = await MilestoneClaim.find({ discordId: userDoc.discordId }, 'metric threshold', { lean: true });
+  const claimed = new Set(claims.map(claim => Milestone.keyOf(claim)));
+
+  const reached = [];
+
+  for (const milestone of crossed) {
+    const key = Milestone.keyOf(milestone);
+    if (claimed.has(key)) continue;
 
-  // Check voice
-  for (const v of milestones.voice) {
-    if (userDoc.voiceMinutes === v.threshold) {
-      coinsToAward += v.reward;
+    const claimFilter = { discordId: userDoc.discordId, metric: milestone.metric, threshold: milestone.threshold };
+
+    try {
+      // The unique claim is taken first, so overlapping checks can't both pay
+      await MilestoneClaim.create({ ...claimFilter, reward: milestone.reward });
+    } catch (err) {
+      if (err.code === 11000) continue;
+      logger.error('Error saving milestone claim:', err);
+      continue;
     }
-  }
 
-  if (coinsToAward > 0) {
-    userDoc.coins += coinsToAward;
     try {
-      await userDoc.save();
-      logger.info(`Awarded ${coinsToAward} coin(s) to user ${userDoc.discordId} for milestones.`);
+      // Each reached milestone becomes its own ledger entry, e.g. "messages:50"
+      const result = await economy.credit(userDoc.discordId, milestone.reward, {
+        source: 'milestone',
+        reason: `Reached ${key} milestone`,
+        referenceId: key,
+        username: userDoc.username,
+      });
+
+      if (result.success) {
+        reached.push(milestone);
+      } else {
+        // Release the claim so the next check tries again
+        await MilestoneClaim.deleteOne(claimFilter);
+        logger.error(`Failed to pay milestone ${key} to ${userDoc.discordId}: ${result.code}`);
+      }
     } catch (err) {
+      await MilestoneClaim.deleteOne(claimFilter).catch(() => {});
       logger.error('Error saving milestone rewards:', err);
     }
   }
+
+  if (reached.length > 0) {
+    const coinsAwarded = reached.reduce((sum, milestone) => sum + milestone.reward, 0);
+    logger.info(`Awarded ${coinsAwarded} coin(s) to user ${userDoc.discordId} for ${reached.length} milestone(s).`);
+    await announceMilestones(userDoc.discordId, reached);
+  }
+
+  return reached;
 }
 
-module.exports = checkMilestones;
\ No newline at end of file
+module.exports = checkMilestones;
+module.exports.getMilestones = getMilestones;
+module.exports.invalidateMilestones = invalidateMilestones;
+module.exports.describeMilestone = describeMilestone;
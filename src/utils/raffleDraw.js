@@ -0,0 +1,60 @@
+// src/utils/raffleDraw.js
+/**
+ * Deterministic, verifiable raffle draws.
+ *
+ * A random seed is created with the raffle and only its SHA-256 hash is
+ * published. At draw time the seed is revealed and winners are picked as:
+ *   for round = 0, 1, ...:
+ *     n = first 8 bytes (big-endian) of HMAC-SHA256(key = seed, "<raffleId>:<round>")
+ *     winner = pool[n mod pool.length], pool sorted by ticket number
+ *     remove all of the winner's tickets from the pool
+ * so anyone with the seed and the ticket list can repeat the draw.
+ */
+const crypto = require('crypto');
+
+/**
+ * New secret seed for a raffle
+ * @returns {string} 64 hex characters
+ */
+function createSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Public commitment to a seed
+ * @param {string} seed - Raffle seed
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+/**
+ * Pick winners from the sold tickets; each member wins at most once
+ * @param {string} seed - Revealed raffle seed
+ * @param {string} raffleId - Raffle ID
+ * @param {Array} tickets - [{ discordId, ticketNumber }]
+ * @param {number} winnerCount - Number of prizes
+ * @returns {Array} [{ discordId, ticketNumber }] in draw order
+ */
+function pickWinners(seed, raffleId, tickets, winnerCount) {
+  let pool = [...tickets].sort((a, b) => a.ticketNumber - b.ticketNumber);
+  const winners = [];
+
+  for (let round = 0; winners.length < winnerCount && pool.length > 0; round++) {
+    const digest = crypto.createHmac('sha256', seed).update(`${raffleId}:${round}`).digest();
+    const index = Number(digest.readBigUInt64BE(0) % BigInt(pool.length));
+    const ticket = pool[index];
+
+    winners.push({ discordId: ticket.discordId, ticketNumber: ticket.ticketNumber });
+    pool = pool.filter(t => t.discordId !== ticket.discordId);
+  }
+
+  return winners;
+}
+
+module.exports = {
+  createSeed,
+  hashSeed,
+  pickWinners,
+};
@@ -1,5 +1,6 @@
 // src/utils/rewardTweetInteractions.js
 const User = require('../models/User');
+const economy = require('./economy');
 const logger = require('./logger');
 const { captureException } = require('./errorMonitoring');
 
@@ -96,14 +97,14 @@ class RewardManager {
     let rewardApplied = false;
     let likeRewarded = false;
     let retweetRewarded = false;
+    const credits = [];
     
     // Check if user liked the tweet and hasn't been rewarded yet
     if (
       newLikedIds.includes(userDoc.twitterId) && 
       !tweet.rewardedForLikes.includes(userDoc.discordId)
     ) {
-      userDoc.coins += this.rewards.like;
-      userDoc.totalLikes += 1;
+      credits.push(this.creditInteraction(userDoc, tweet, 'like'));
       tweet.rewardedForLikes.push(userDoc.discordId);
       rewardApplied = true;
       likeRewarded = true;
@@ -114,8 +115,7 @@ class RewardManager {
       newRetweetIds.includes(userDoc.twitterId) && 
       !tweet.rewardedForRetweets.includes(userDoc.discordId)
     ) {
-      userDoc.coins += this.rewards.retweet;
-      userDoc.totalRetweets += 1;
+      credits.push(this.creditInteraction(userDoc, tweet, 'retweet'));
       tweet.rewardedForRetweets.push(userDoc.discordId);
       rewardApplied = true;
       retweetRewarded = true;
@@ -136,7 +136,7 @@ class RewardManager {
         total: (likeRewarded ? 1 : 0) + (retweetRewarded ? 1 : 0),
         likeRewarded,
         retweetRewarded,
-        savePromise: userDoc.save()
+        savePromise: Promise.all(credits)
       };
     }
     
@@ -149,6 +149,24 @@ class RewardManager {
     };
   }
   
+  /**
+   * Credit a single like or retweet reward through the economy ledger
+   * @param {Object} userDoc - User document
+   * @param {Object} tweet - Tweet document
+   * @param {string} type - 'like' or 'retweet'
+   * @returns {Promise<Object>} Result of the economy credit
+   */
+  creditInteraction(userDoc, tweet, type) {
+    const isLike = type === 'like';
+    
+    return economy.credit(userDoc.discordId, this.rewards[type], {
+      source: isLike ? 'tweet_like' : 'tweet_retweet',
+      reason: isLike ? 'Liked a tweet' : 'Retweeted a tweet',
+      referenceId: tweet.tweetId,
+      stats: isLike ? { totalLikes: 1 } : { totalRetweets: 1 }
+    });
+  }
+  
   /**
    * Check for missing rewards in a tweet
    * @param {Object} tweet - Tweet document
@@ -184,8 +202,7 @@ class RewardManager {
         likedNotRewarded.includes(userDoc.twitterId) && 
         !tweet.rewardedForLikes.includes(userDoc.discordId)
       ) {
-        userDoc.coins += this.rewards.like;
-        userDoc.totalLikes += 1;
+        rewardPromises.push(this.creditInteraction(userDoc, tweet, 'like'));
         tweet.rewardedForLikes.push(userDoc.discordId);
         totalRewards++;
       }
@@ -195,16 +212,10 @@ class RewardManager {
         retweetedNotRewarded.includes(userDoc.twitterId) && 
         !tweet.rewardedForRetweets.includes(userDoc.discordId)
       ) {
-        userDoc.coins += this.rewards.retweet;
-        userDoc.totalRetweets += 1;
+        rewardPromises.push(this.creditInteraction(userDoc, tweet, 'retweet'));
         tweet.rewardedForRetweets.push(userDoc.discordId);
         totalRewards++;
       }
-      
-      // Save if rewards were given
-      if (userDoc.isModified()) {
-        rewardPromises.push(userDoc.save());
-      }
     }
     
     // Wait for all saves to complete
@@ -0,0 +1,98 @@
+// src/utils/serverStats.js
+const ActivityDaily = require('../models/ActivityDaily');
+const ChannelActivityDaily = require('../models/ChannelActivityDaily');
+const CoinTransaction = require('../models/CoinTransaction');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_CHANNELS = 5;
+
+// Moving coins between members neither creates nor destroys them
+const TRANSFER_SOURCES = ['transfer_out', 'transfer_in'];
+
+/**
+ * Coins created and destroyed in a window. Transfers only count for the
+ * part that disappears on the way (the tax).
+ * @param {Array} totals - Result of CoinTransaction.totalsBySourceBetween
+ * @returns {Object} { minted, burned }
+ */
+function getCoinSupplyChange(totals) {
+  let minted = 0;
+  let burned = 0;
+  let sent = 0;
+  let received = 0;
+
+  for (const { source, credited, debited } of totals) {
+    if (source === 'transfer_out') sent += debited;
+    else if (source === 'transfer_in') received += credited;
+
+    if (TRANSFER_SOURCES.includes(source)) continue;
+    minted += credited;
+    burned += debited;
+  }
+
+  return { minted, burned: burned + Math.max(sent - received, 0) };
+}
+
+/**
+ * Community health over the last `days` UTC days, today included
+ * @param {number} days - Length of the range
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} Server stats
+ */
+async function collectServerStats(days, now = new Date()) {
+  const end = new Date(ActivityDaily.dayStart(now).getTime() + DAY_MS);
+  const start = new Date(end.getTime() - days * DAY_MS);
+
+  const [dailyTotals, topChannels, ledgerTotals, tweets, linkedMembers] = await Promise.all([
+    ActivityDaily.dailyTotalsBetween(start, end),
+    ChannelActivityDaily.topBetween(start, end, TOP_CHANNELS),
+    CoinTransaction.totalsBySourceBetween(start, end),
+    Tweet.find({ postedAt: { $gte: start, $lt: end } }, 'rewardedForLikes rewardedForRetweets', { lean: true }),
+    User.countDocuments({ twitterId: { $ne: null } })
+  ]);
+
+  // One value per day, including days without any activity
+  const byDay = new Map(dailyTotals.map(row => [row.day.getTime(), row]));
+  const dailyActive = [];
+  for (let d = 0; d < days; d++) {
+    dailyActive.push(byDay.get(start.getTime() + d * DAY_MS)?.activeMembers || 0);
+  }
+
+  const activeMemberDays = dailyActive.reduce((sum, count) => sum + count, 0);
+  const messages = dailyTotals.reduce((sum, row) => sum + row.messages, 0);
+  const voiceMinutes = dailyTotals.reduce((sum, row) => sum + row.voiceMinutes, 0);
+  const gmClaims = ledgerTotals.find(row => row.source === 'gm')?.count || 0;
+
+  // Share of linked members who liked or retweeted, averaged over tweets
+  const engagedPerTweet = tweets.map(tweet =>
+    new Set([...tweet.rewardedForLikes, ...tweet.rewardedForRetweets]).size
+  );
+  const tweetEngagementRate = tweets.length && linkedMembers
+    ? engagedPerTweet.reduce((sum, count) => sum + count, 0) / (tweets.length * linkedMembers)
+    : 0;
+
+  return {
+    days,
+    start,
+    end,
+    dailyActive,
+    avgDailyActive: activeMemberDays / days,
+    messages,
+    voiceHours: voiceMinutes / 60,
+    ...getCoinSupplyChange(ledgerTotals),
+    topChannels,
+    gmClaims,
+    // GM claims per active member-day
+    gmClaimRate: activeMemberDays ? Math.min(gmClaims / activeMemberDays, 1) : 0,
+    tweets: tweets.length,
+    linkedMembers,
+    tweetEngagementRate
+  };
+}
+
+module.exports = {
+  collectServerStats,
+  getCoinSupplyChange
+};
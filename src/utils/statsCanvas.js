@@ -0,0 +1,57 @@
+// src/utils/statsCanvas.js
+const { registerFont } = require('canvas');
+const path = require('path');
+
+// Register fonts once for every canvas image (/stats, /server-stats)
+registerFont(path.join(__dirname, '../assets/SF-Pro-Text-Light.otf'), { family: 'SFPRO-Light' });
+registerFont(path.join(__dirname, '../assets/SFPRO-SEMIBOLD.otf'), { family: 'SFPRO-SEMIBOLD' });
+
+// Rounded rect
+function drawRoundedRect(ctx, x, y, width, height, radius, fillColor) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.lineTo(x + width - radius, y);
+  ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+  ctx.lineTo(x + width, y + height - radius);
+  ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+  ctx.lineTo(x + radius, y + height);
+  ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+  ctx.lineTo(x, y + radius);
+  ctx.quadraticCurveTo(x, y, x + radius, y);
+  ctx.closePath();
+  ctx.fillStyle = fillColor;
+  ctx.fill();
+}
+
+// Draw a sparkline with a filled area under it
+function drawSparkline(ctx, x, y, width, height, values, color) {
+  if (values.length === 0) return;
+
+  // A single day has no slope; draw it as a flat line across the width
+  const points = values.length === 1 ? [values[0], values[0]] : values;
+  const max = Math.max(...points, 1);
+  const stepX = width / (points.length - 1);
+  const pointY = (value) => y + height - (value / max) * height;
+
+  ctx.beginPath();
+  points.forEach((value, i) => {
+    if (i === 0) ctx.moveTo(x, pointY(value));
+    else ctx.lineTo(x + i * stepX, pointY(value));
+  });
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  ctx.lineTo(x + width, y + height);
+  ctx.lineTo(x, y + height);
+  ctx.closePath();
+  ctx.globalAlpha = 0.15;
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+}
+
+module.exports = {
+  drawRoundedRect,
+  drawSparkline,
+};
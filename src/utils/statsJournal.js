@@ -0,0 +1,112 @@
+// src/utils/statsJournal.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Append-only journal of stat increments that are still only in memory.
+ * Every increment is appended as a JSON line. A flush renames the journal to
+ * `<journal>.<batchId>.pending` in the same tick as it snapshots the
+ * accumulators, and deletes that file once the batch is staged in StatsBatch.
+ * Whatever is left after a crash is read back on startup.
+ */
+const journalPath = config.stats.journalPath;
+const journalDir = path.dirname(journalPath);
+const pendingPrefix = `${path.basename(journalPath)}.`;
+const PENDING_SUFFIX = '.pending';
+
+try {
+  fs.mkdirSync(journalDir, { recursive: true });
+} catch (error) {
+  logger.error('Cannot create stats journal directory', { journalDir, error: error.message });
+}
+
+function pendingPath(batchId) {
+  return path.join(journalDir, `${pendingPrefix}${batchId}${PENDING_SUFFIX}`);
+}
+
+/**
+ * Append one increment
+ * @param {Object} entry - { type: 'user'|'channel', id, field, increment }
+ */
+function append(entry) {
+  try {
+    fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    // The increment is still in memory; it just isn't protected against a crash
+    logger.warn('Failed to write stats journal', { error: error.message });
+  }
+}
+
+/**
+ * Hand the current journal over to a batch
+ * @param {string} batchId - StatsBatch _id
+ */
+function rotate(batchId) {
+  try {
+    fs.renameSync(journalPath, pendingPath(batchId));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Failed to rotate stats journal', { batchId: String(batchId), error: error.message });
+    }
+  }
+}
+
+/**
+ * Delete a batch's journal once the batch is staged
+ * @param {string} batchId - StatsBatch _id
+ */
+function discard(batchId) {
+  try {
+    fs.unlinkSync(pendingPath(batchId));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Failed to remove staged stats journal', { batchId: String(batchId), error: error.message });
+    }
+  }
+}
+
+/**
+ * Parse a journal file; a torn last line from a crash is skipped
+ */
+function readEntries(file) {
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      logger.warn('Skipping unreadable stats journal line', { file });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Journal contents left by the previous run
+ * @returns {Object} { current: [entry], pending: [{ batchId, entries, modifiedAt }] }
+ */
+function readLeftovers() {
+  const current = fs.existsSync(journalPath) ? readEntries(journalPath) : [];
+
+  const pending = fs.readdirSync(journalDir)
+    .filter(name => name.startsWith(pendingPrefix) && name.endsWith(PENDING_SUFFIX))
+    .map(name => {
+      const file = path.join(journalDir, name);
+      return {
+        batchId: name.slice(pendingPrefix.length, -PENDING_SUFFIX.length),
+        entries: readEntries(file),
+        modifiedAt: fs.statSync(file).mtime
+      };
+    });
+
+  return { current, pending };
+}
+
+module.exports = {
+  append,
+  rotate,
+  discard,
+  readLeftovers
+};
@@ -0,0 +1,63 @@
+// src/utils/trackingRules.js
+const TrackingRule = require('../models/TrackingRule');
+const { defaultCache } = require('./cacheManager');
+
+const RULES_CACHE_KEY = 'tracking-rules';
+
+/**
+ * All tracking rules by target ID, cached for five minutes
+ * @returns {Promise<Map>} targetId -> rule
+ */
+function getRules() {
+  return defaultCache.getOrFetch(
+    RULES_CACHE_KEY,
+    async () => {
+      const rules = await TrackingRule.find({}, null, { lean: true });
+      return new Map(rules.map(rule => [rule.targetId, rule]));
+    },
+    { ttl: 300 }
+  );
+}
+
+/**
+ * Drop the cached rules after they change
+ */
+function invalidateRules() {
+  defaultCache.del(RULES_CACHE_KEY);
+}
+
+/**
+ * The channel whose rule and counts apply: threads count toward their parent
+ * @param {Object} channel - Discord channel
+ * @returns {Object} { channelId, categoryId }
+ */
+function resolveTrackedChannel(channel) {
+  if (channel.isThread?.()) {
+    return { channelId: channel.parentId, categoryId: channel.parent?.parentId || null };
+  }
+  return { channelId: channel.id, categoryId: channel.parentId || null };
+}
+
+/**
+ * How much one message in a channel counts: 0 when excluded, otherwise the
+ * weight of the channel rule, else of the category rule, else 1
+ * @param {Object} channel - Discord channel
+ * @returns {Promise<number>} Weight
+ */
+async function getChannelWeight(channel) {
+  const rules = await getRules();
+  if (rules.size === 0) return 1;
+
+  const { channelId, categoryId } = resolveTrackedChannel(channel);
+  const rule = rules.get(channelId) || (categoryId && rules.get(categoryId));
+
+  if (!rule) return 1;
+  return rule.excluded ? 0 : rule.weight;
+}
+
+module.exports = {
+  getRules,
+  invalidateRules,
+  resolveTrackedChannel,
+  getChannelWeight
+};
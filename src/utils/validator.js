@@ -161,6 +161,29 @@ function validateUrl(url, options = {}) {
   }
 }
 
+/**
+ * Validates a date/time given as unix seconds or any string Date can parse
+ * @param {string|number} value - Date input (e.g. "2026-10-24T00:00Z" or "1792800000")
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {Date} The parsed date
+ * @throws {ValidationError} If validation fails
+ */
+function validateDateTime(value, fieldName = 'Date') {
+  const processedValue = String(value).trim();
+  const date = /^\d+$/.test(processedValue)
+    ? new Date(parseInt(processedValue, 10) * 1000)
+    : new Date(processedValue);
+  
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(
+      `${fieldName} must be a date like 2026-10-24T00:00Z or a unix timestamp`,
+      fieldName
+    );
+  }
+  
+  return date;
+}
+
 /**
  * Validates a Twitter username
  * @param {string} username - Twitter username to validate
@@ -244,6 +267,7 @@ module.exports = {
   validateDiscordId,
   validateUrl,
   validateTwitterUsername,
+  validateDateTime,
   handleValidationError,
   withValidation
 };
\ No newline at end of file
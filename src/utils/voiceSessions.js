@@ -0,0 +1,87 @@
+// src/utils/voiceSessions.js
+const VoiceSession = require('../models/VoiceSession');
+const { updateVoiceState, getVoiceSessions } = require('./voiceTracker');
+const logger = require('./logger');
+const { captureException } = require('./errorMonitoring');
+
+// A stored session is only continued after a restart if it was seen this recently;
+// after a longer outage we can't tell whether the user stayed, so a new one starts
+const RESUME_GRACE_MS = 10 * 60 * 1000;
+
+/**
+ * Persist the session start/end returned by updateVoiceState
+ * @param {Object} change - { started, ended }
+ */
+async function recordVoiceChange({ started, ended }) {
+  try {
+    if (ended) {
+      await VoiceSession.close(ended.sessionId, ended);
+    }
+    if (started) {
+      await VoiceSession.open(started.sessionId, started);
+    }
+  } catch (error) {
+    captureException(error, { context: 'voice-session', discordId: (started || ended)?.discordId });
+    logger.error('Failed to record voice session', { error: error.message });
+  }
+}
+
+/**
+ * Rebuild the voice tracker from the guilds' voice channels after a restart.
+ * Open sessions of users still in voice are continued; the rest are closed
+ * at the time they were last seen.
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} Users now tracked
+ */
+async function restoreVoiceSessions(client) {
+  const openSessions = await VoiceSession.find({ leftAt: null }, null, { lean: true });
+  const openByUser = new Map(openSessions.map(session => [session.discordId, session]));
+  const cutoff = Date.now() - RESUME_GRACE_MS;
+  const continued = new Set();
+
+  for (const guild of client.guilds.cache.values()) {
+    // Voice states arrive with the guild, so no member fetch is needed
+    const voiceChannels = guild.channels.cache.filter(channel => channel.isVoiceBased());
+
+    for (const channel of voiceChannels.values()) {
+      for (const member of channel.members.values()) {
+        if (member.user.bot) continue;
+
+        const stored = openByUser.get(member.id);
+        const resume = stored && stored.guildId === guild.id && (stored.lastSeenAt || stored.joinedAt) >= cutoff
+          ? { sessionId: stored._id, joinedAt: stored.joinedAt }
+          : null;
+        if (resume) continued.add(stored._id.toString());
+
+        await recordVoiceChange(updateVoiceState(member.voice, resume));
+      }
+    }
+  }
+
+  for (const stored of openSessions) {
+    if (continued.has(stored._id.toString())) continue;
+    await VoiceSession.close(stored._id, stored, stored.lastSeenAt || stored.joinedAt);
+  }
+
+  logger.info('Restored voice sessions', {
+    tracked: getVoiceSessions().size,
+    continued: continued.size,
+    closed: openSessions.length - continued.size
+  });
+
+  return getVoiceSessions().size;
+}
+
+/**
+ * Heartbeat for open sessions, so a crash loses at most a minute of session time
+ */
+async function touchVoiceSessions() {
+  const sessionIds = [...getVoiceSessions().values()].map(session => session.sessionId);
+  await VoiceSession.touch(sessionIds);
+}
+
+module.exports = {
+  recordVoiceChange,
+  restoreVoiceSessions,
+  touchVoiceSessions
+};
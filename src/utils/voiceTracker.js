@@ -1,24 +1,83 @@
 // src/utils/voiceTracker.js
+const mongoose = require('mongoose');
+
 /**
- * A set of user IDs currently in voice channels.
+ * Voice sessions of users currently in voice channels:
+ *   discordId -> { sessionId, guildId, channelId, selfDeaf, serverDeaf, selfMute, serverMute, inAfkChannel, joinedAt }
+ * sessionId is the _id of the matching VoiceSession document. Bots are never tracked.
  */
-const usersInVoice = new Set();
+const voiceSessions = new Map();
 
-function addUserToVoice(discordId, isBot = false) {
-  if (isBot) return;
-  usersInVoice.add(discordId);
-}
+/**
+ * Start, update or end a user's session from their current voice state
+ * @param {Object} state - Discord VoiceState
+ * @param {Object} [resume] - { sessionId, joinedAt } of a stored session to continue
+ * @returns {Object} { started, ended } - the session that began or finished, if any
+ */
+function updateVoiceState(state, resume = null) {
+  const previous = voiceSessions.get(state.id) || null;
 
-function removeUserFromVoice(discordId) {
-  usersInVoice.delete(discordId);
+  if (!state.channelId || state.member?.user?.bot) {
+    voiceSessions.delete(state.id);
+    return { started: null, ended: previous && { discordId: state.id, ...previous } };
+  }
+
+  const session = {
+    sessionId: previous?.sessionId || resume?.sessionId || new mongoose.Types.ObjectId(),
+    guildId: state.guild.id,
+    channelId: state.channelId,
+    selfDeaf: Boolean(state.selfDeaf),
+    serverDeaf: Boolean(state.serverDeaf),
+    selfMute: Boolean(state.selfMute),
+    serverMute: Boolean(state.serverMute),
+    inAfkChannel: state.channelId === state.guild.afkChannelId,
+    // Switching channels keeps the session; toggling mute keeps it too
+    joinedAt: previous?.joinedAt || resume?.joinedAt || new Date(),
+  };
+  voiceSessions.set(state.id, session);
+
+  return { started: previous ? null : { discordId: state.id, ...session }, ended: null };
 }
 
 function getUsersInVoice() {
-  return [...usersInVoice];
+  return [...voiceSessions.keys()];
+}
+
+function getVoiceSession(discordId) {
+  return voiceSessions.get(discordId) || null;
+}
+
+function getVoiceSessions() {
+  return new Map(voiceSessions);
+}
+
+/**
+ * Users whose current minute counts, given the voice rules
+ * @param {Object} rules - excludeDeafened, excludeMuted, excludeAfkChannel, minOtherHumans
+ * @returns {Array} [{ discordId, channelId }]
+ */
+function getEligibleVoiceUsers(rules) {
+  const humansPerChannel = new Map();
+  for (const session of voiceSessions.values()) {
+    humansPerChannel.set(session.channelId, (humansPerChannel.get(session.channelId) || 0) + 1);
+  }
+
+  const eligible = [];
+  for (const [discordId, session] of voiceSessions.entries()) {
+    if (rules.excludeDeafened && (session.selfDeaf || session.serverDeaf)) continue;
+    if (rules.excludeMuted && (session.selfMute || session.serverMute)) continue;
+    if (rules.excludeAfkChannel && session.inAfkChannel) continue;
+    if (humansPerChannel.get(session.channelId) - 1 < rules.minOtherHumans) continue;
+
+    eligible.push({ discordId, channelId: session.channelId });
+  }
+  return eligible;
 }
 
 module.exports = {
-  addUserToVoice,
-  removeUserFromVoice,
+  updateVoiceState,
   getUsersInVoice,
-};
\ No newline at end of file
+  getVoiceSession,
+  getVoiceSessions,
+  getEligibleVoiceUsers,
+};